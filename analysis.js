@@ -0,0 +1,392 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const utils = require('./utils.js');
+const checklist = require('./checklist.js');
+const errors = require('./errors.js');
+
+// STATIC ANALYSIS OF PROJECT SOURCE CODE
+
+exports.levels = ['error', 'warning', 'off'];
+
+/*
+ * Blanks out comments, string literals, and character literals so rules only
+ * match actual code. Keeps the number and length of lines the same so line and
+ * column numbers still match the original source.
+ */
+function stripCode(lines) {
+  let comment = false; // inside a block comment
+
+  return lines.map(line => {
+    let result = '';
+
+    for (let i = 0; i < line.length; i++) {
+      if (comment) {
+        if (line.startsWith('*/', i)) {
+          comment = false;
+          result += '  ';
+          i++;
+        }
+        else {
+          result += ' ';
+        }
+      }
+      else if (line.startsWith('/*', i)) {
+        comment = true;
+        result += '  ';
+        i++;
+      }
+      else if (line.startsWith('//', i)) {
+        result += ' '.repeat(line.length - i);
+        break;
+      }
+      else if (line[i] === '"' || line[i] === '\'') {
+        const quote = line[i];
+        let j = i + 1;
+
+        while (j < line.length && line[j] !== quote) {
+          j += line[j] === '\\' ? 2 : 1;
+        }
+
+        result += quote + ' '.repeat(Math.max(0, Math.min(j, line.length) - i - 1)) + (j < line.length ? quote : '');
+        i = j;
+      }
+      else {
+        result += line[i];
+      }
+    }
+
+    return result;
+  });
+}
+
+function matchLines(lines, regex, message) {
+  const findings = [];
+
+  lines.forEach((line, index) => {
+    if (regex.test(line)) {
+      findings.push({line: index + 1, message: message});
+    }
+  });
+
+  return findings;
+}
+
+/*
+ * Available rules. Each rule has a default level, a summary used when the
+ * rule fails the run, and a check that returns the findings (line and
+ * message) for one source file. Checks are given the original lines, the
+ * lines with comments and literals stripped, the file name, and the options
+ * configured for the rule.
+ */
+exports.rules = {
+  'todo': {
+    level: 'error',
+    summary: 'One or more TODO comments found',
+    check: file => matchLines(file.lines, /^\s*[/*]{1,2}.*\b(TODO|FIXME)\b/i, 'TODO or FIXME comment found.')
+  },
+
+  'extra-main': {
+    level: 'error',
+    summary: 'More than one main method found',
+    check: (file, options) => (options.driver || 'Driver.java') === file.name ? [] :
+      matchLines(file.code, /\bpublic\s+static\s+void\s+main\s*\(/, 'Extra main method found outside of the driver class.')
+  },
+
+  'debug-output': {
+    level: 'warning',
+    summary: 'One or more debug output statements found',
+    check: (file, options) => (options.driver || 'Driver.java') === file.name ? [] :
+      matchLines(file.code, /\bSystem\s*\.\s*(out|err)\s*\.\s*print(ln|f)?\s*\(/, 'Debug output to the console found.')
+  },
+
+  'stack-trace': {
+    level: 'warning',
+    summary: 'One or more printStackTrace calls found',
+    check: file => matchLines(file.code, /\.\s*printStackTrace\s*\(/, 'Call to printStackTrace found. Handle or report the exception instead.')
+  },
+
+  'commented-code': {
+    level: 'warning',
+    summary: 'One or more blocks of commented-out code found',
+    check: (file, options) => {
+      const minimum = options.lines || 2;
+      const findings = [];
+      const looksLikeCode = /^\s*\/\/\s*.*([;{}]|\)\s*)$/;
+
+      let start = -1;
+
+      file.lines.concat(['']).forEach((line, index) => {
+        if (looksLikeCode.test(line)) {
+          start = start < 0 ? index : start;
+          return;
+        }
+
+        if (start >= 0 && index - start >= minimum) {
+          findings.push({line: start + 1, message: `Block of ${index - start} lines of commented-out code found.`});
+        }
+
+        start = -1;
+      });
+
+      return findings;
+    }
+  },
+
+  'unused-import': {
+    level: 'warning',
+    summary: 'One or more unused imports found',
+    check: file => {
+      const findings = [];
+      const regex = /^\s*import\s+(static\s+)?([\w.]+)\.(\w+)\s*;/;
+
+      // usage anywhere except imports counts (including javadoc links)
+      const body = file.lines.filter(x => !regex.test(x)).join('\n');
+
+      file.code.forEach((line, index) => {
+        const matched = line.match(regex);
+
+        if (matched && !new RegExp(`\\b${matched[3]}\\b`).test(body)) {
+          findings.push({line: index + 1, message: `Unused import ${matched[2]}.${matched[3]} found.`});
+        }
+      });
+
+      return findings;
+    }
+  },
+
+  'method-length': {
+    level: 'warning',
+    summary: 'One or more oversized methods found',
+    check: (file, options) => {
+      const maximum = options.max || 60;
+      const findings = [];
+
+      const control = /^\s*(if|for|while|switch|catch|return|new|else|try|do|synchronized)\b/;
+      const declaration = /^\s*([\w@<>[\],.?]+\s+)*(\w+)\s*\([^;]*$/;
+
+      for (let i = 0; i < file.code.length; i++) {
+        const matched = file.code[i].match(declaration);
+
+        if (!matched || control.test(file.code[i]) || /=|\bclass\b|\binterface\b|\benum\b|\brecord\b/.test(file.code[i])) {
+          continue;
+        }
+
+        // find the opening brace of the method body (abstract methods have none)
+        let open = i;
+
+        while (open < file.code.length && !file.code[open].includes('{') && !file.code[open].includes(';')) {
+          open++;
+        }
+
+        if (open >= file.code.length || !file.code[open].includes('{')) {
+          continue;
+        }
+
+        let depth = 0;
+        let close = open;
+
+        for (; close < file.code.length; close++) {
+          depth += (file.code[close].match(/{/g) || []).length;
+          depth -= (file.code[close].match(/}/g) || []).length;
+
+          if (depth <= 0) {
+            break;
+          }
+        }
+
+        const length = close - i + 1;
+
+        if (length > maximum) {
+          findings.push({line: i + 1, message: `Method ${matched[2]} is ${length} lines long (maximum is ${maximum}).`});
+        }
+
+        i = close;
+      }
+
+      return findings;
+    }
+  }
+};
+
+/*
+ * Determines the level and options of every rule for a project. The course
+ * configuration may change rules with an analysis section, using either a
+ * level or an object with a level and options for each rule:
+ *
+ * analysis:
+ *   rules: { debug-output: error, method-length: { level: warning, max: 80 } }
+ *   projects: { 1: { commented-code: off } }
+ */
+exports.getRules = function(config, project) {
+  const settings = config.analysis || {};
+  const overrides = settings.projects && settings.projects[project] ? settings.projects[project] : {};
+
+  const rules = {};
+
+  for (const name in exports.rules) {
+    rules[name] = {level: exports.rules[name].level};
+
+    for (const source of [settings.rules || {}, overrides]) {
+      const value = source[name];
+
+      if (typeof value === 'string') {
+        rules[name].level = value;
+      }
+      else if (value && typeof value === 'object') {
+        Object.assign(rules[name], value);
+      }
+    }
+  }
+
+  return rules;
+};
+
+/*
+ * Checks the analysis section of the course configuration, returning a list
+ * of problems found.
+ */
+exports.validate = function(settings) {
+  const problems = [];
+
+  if (settings === undefined) {
+    return problems;
+  }
+
+  if (settings === null || typeof settings !== 'object') {
+    return ['"analysis" must be an object with "rules" and "projects" entries'];
+  }
+
+  const check = function(prefix, rules) {
+    if (rules === null || typeof rules !== 'object') {
+      problems.push(`"${prefix}" must map rule names to levels`);
+      return;
+    }
+
+    for (const name in rules) {
+      const value = rules[name];
+      const level = value && typeof value === 'object' ? value.level : value;
+
+      // objects may only change the options and keep the default level
+      const optional = value && typeof value === 'object' && level === undefined;
+
+      if (!(name in exports.rules)) {
+        problems.push(`"${prefix}.${name}" is not a known rule (${Object.keys(exports.rules).join(', ')})`);
+      }
+      else if (!optional && !exports.levels.includes(level)) {
+        problems.push(`"${prefix}.${name}" must be one of ${exports.levels.join(', ')}`);
+      }
+    }
+  };
+
+  if ('rules' in settings) {
+    check('analysis.rules', settings.rules);
+  }
+
+  if ('projects' in settings) {
+    for (const project in settings.projects) {
+      check(`analysis.projects.${project}`, settings.projects[project]);
+    }
+  }
+
+  return problems;
+};
+
+function listFiles(directory) {
+  return fs.readdirSync(directory, {withFileTypes: true}).flatMap(entry => {
+    const file = path.join(directory, entry.name);
+    return entry.isDirectory() ? listFiles(file) : [file];
+  }).sort();
+}
+
+/*
+ * Runs every enabled rule on every Java source file in the directory in one
+ * pass and returns all of the findings (rule, level, file, line, message).
+ * File names are relative to the base directory (the repository root).
+ */
+exports.analyze = function(base, source, rules) {
+  const findings = [];
+  const directory = path.join(base, source);
+
+  for (const file of listFiles(directory).filter(x => x.endsWith('.java'))) {
+    const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+
+    const details = {
+      name: path.basename(file),
+      lines: lines,
+      code: stripCode(lines)
+    };
+
+    for (const name in rules) {
+      if (rules[name].level === 'off') {
+        continue;
+      }
+
+      for (const found of exports.rules[name].check(details, rules[name])) {
+        findings.push({
+          rule: name,
+          level: rules[name].level,
+          file: path.relative(base, file),
+          line: found.line,
+          message: found.message
+        });
+      }
+    }
+  }
+
+  return findings;
+};
+
+/*
+ * Outputs every finding as an annotation and a summary of the findings per
+ * rule. Throws an error summarizing every rule with error level findings.
+ */
+exports.report = function(findings, rules) {
+  core.info('');
+
+  for (const found of findings) {
+    const text = `${found.file}:${found.line}: ${found.message} (${found.rule})`;
+    const properties = {file: found.file, startLine: found.line, title: `Cleanup: ${found.rule}`};
+
+    if (found.level === 'error') {
+      utils.showError(text);
+      core.error(found.message, properties);
+    }
+    else {
+      utils.showWarning(text);
+      core.warning(found.message, properties);
+    }
+  }
+
+  core.info('');
+  core.info('Rule            Level    Findings');
+
+  for (const name in rules) {
+    const found = findings.filter(x => x.rule === name);
+    const title = `Cleanup: ${name}`;
+
+    core.info(`${name.padEnd(15)} ${rules[name].level.padEnd(8)} ${rules[name].level === 'off' ? '-' : found.length}`);
+
+    if (rules[name].level === 'off') {
+      checklist.skip(name, {title: title, details: 'Turned off by the course configuration.'});
+    }
+    else if (found.length < 1) {
+      checklist.pass(name, {title: title});
+    }
+    else if (rules[name].level === 'error') {
+      checklist.fail(name, {title: title, details: `${exports.rules[name].summary} (${found.length}), like at ${found[0].file}:${found[0].line}.`});
+    }
+    else {
+      checklist.pass(name, {title: title, details: `${found.length} warnings`});
+    }
+  }
+
+  const failed = Object.keys(rules).filter(name => findings.some(x => x.rule === name && x.level === 'error'));
+
+  if (failed.length > 0) {
+    const summaries = failed.map(name => exports.rules[name].summary);
+    throw errors.create('cleanup-failed', `${summaries.join('. ')}. Please clean up the code before requesting code review.`);
+  }
+
+  return findings.length;
+};
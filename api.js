@@ -0,0 +1,137 @@
+const core = require('@actions/core');
+const github = require('@actions/github');
+
+// SHARED GITHUB API LAYER
+
+exports.retries = 4;   // times to retry transient failures
+exports.delay = 1000;  // base backoff delay in milliseconds (doubled each retry)
+exports.lowQuota = 100; // remaining requests that trigger a warning
+exports.maxWait = 60000; // longest wait in milliseconds before a retry
+
+// most recent rate limit details from the response headers
+exports.quota = {remaining: undefined, limit: undefined, reset: undefined};
+
+let warned = false; // only warn once about low quota
+
+function sleep(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+// methods that are safe to repeat if a server error hides whether they worked
+const safe = ['GET', 'HEAD'];
+
+/*
+ * Determines if a failed request is worth retrying: primary or secondary rate
+ * limits, and server errors for requests that do not change anything. Other
+ * client errors (like 404) are not retried.
+ */
+function isTransient(error, method) {
+  const status = error.status;
+
+  if (status === 429) {
+    return true;
+  }
+
+  if (status >= 500) {
+    return safe.includes(String(method).toUpperCase());
+  }
+
+  if (status === 403) {
+    const headers = error.response && error.response.headers ? error.response.headers : {};
+    return 'retry-after' in headers || headers['x-ratelimit-remaining'] === '0' || /rate limit|abuse/i.test(error.message);
+  }
+
+  return false;
+}
+
+/*
+ * Determines how long to wait before retrying, preferring what the response
+ * headers ask for over exponential backoff, but never longer than maxWait.
+ */
+function waitTime(error, attempt) {
+  const headers = error.response && error.response.headers ? error.response.headers : {};
+  let wait = exports.delay * Math.pow(2, attempt);
+
+  if ('retry-after' in headers) {
+    wait = Math.max(0, +headers['retry-after']) * 1000;
+  }
+  else if (headers['x-ratelimit-remaining'] === '0' && 'x-ratelimit-reset' in headers) {
+    wait = Math.max(0, +headers['x-ratelimit-reset'] * 1000 - Date.now());
+  }
+
+  return Math.min(wait, exports.maxWait);
+}
+
+function updateQuota(headers) {
+  if (!headers || !('x-ratelimit-remaining' in headers)) {
+    return;
+  }
+
+  exports.quota.remaining = +headers['x-ratelimit-remaining'];
+  exports.quota.limit = +headers['x-ratelimit-limit'];
+  exports.quota.reset = +headers['x-ratelimit-reset'];
+
+  if (!warned && exports.quota.remaining < exports.lowQuota) {
+    warned = true;
+    core.warning(`Only ${exports.quota.remaining} of ${exports.quota.limit} Github API requests remaining.`);
+  }
+}
+
+/*
+ * Retries transient failures with backoff and tracks the remaining quota for
+ * every request made by the client, including each page of a listing.
+ */
+async function retryRequest(request, options) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await request(options);
+      updateQuota(response.headers);
+      return response;
+    }
+    catch (error) {
+      if (error.response) {
+        updateQuota(error.response.headers);
+      }
+
+      if (attempt >= exports.retries || !isTransient(error, options.method)) {
+        throw error;
+      }
+
+      const wait = waitTime(error, attempt);
+      core.info(`Retrying ${options.method} ${options.url} in ${wait} ms after ${error.status} response (attempt ${attempt + 1} of ${exports.retries})...`);
+      await sleep(wait);
+    }
+  }
+}
+
+/*
+ * Creates an authenticated client that retries transient failures. Use
+ * instead of github.getOctokit() directly.
+ */
+exports.getOctokit = function(token) {
+  const octokit = github.getOctokit(token);
+  octokit.hook.wrap('request', retryRequest);
+  return octokit;
+};
+
+/*
+ * Outputs the remaining Github API quota, if known.
+ */
+exports.showQuota = function() {
+  if (exports.quota.remaining === undefined) {
+    return;
+  }
+
+  const reset = new Date(exports.quota.reset * 1000).toISOString();
+  core.info(`API quota: ${exports.quota.remaining} of ${exports.quota.limit} requests remaining (resets ${reset}).`);
+};
+
+/*
+ * Fetches every page of a listing and returns the combined results. Narrow
+ * the results with the params wherever the endpoint supports it.
+ */
+exports.list = async function(octokit, method, params) {
+  const results = await octokit.paginate(method, Object.assign({per_page: 100}, params));
+  exports.showQuota();
+  return results;
+};
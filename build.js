@@ -0,0 +1,119 @@
+const path = require('path');
+const diagnostics = require('./diagnostics.js');
+
+// BUILD ADAPTERS
+
+/*
+ * Build systems the project may use. Each adapter has the source root (used
+ * for cleanup checks and comparisons), the commands that display tool
+ * versions, the strict compile command, the build output directory to list
+ * (if any), the compiler warning parser, and whether any parsed warning fails
+ * the build (for tools that cannot make warnings fatal themselves).
+ */
+exports.adapters = {
+  maven: {
+    source: 'src/main/java',
+    versions: [['java', '--version'], ['javac', '--version'], ['mvn', '--version']],
+    compile: ['mvn', '-ntp', '"-DcompileOptionXlint=-Xlint:all"', '"-DcompileOptionXdoclint=-Xdoclint:all/private"', '-DcompileOptionFail=true', '-Dmaven.compiler.failOnWarning=true', '-Dmaven.compiler.showWarnings=true', 'clean', 'compile'],
+    output: 'target/classes',
+    parser: 'maven',
+    strict: false
+  },
+
+  gradle: {
+    source: 'src/main/java',
+    versions: [['java', '--version'], ['gradle', '--version']],
+    compile: ['gradle', '--no-daemon', '--console=plain', '--warning-mode=all', '--init-script', path.join(__dirname, 'gradle', 'strict.gradle'), 'clean', 'compileJava'],
+    output: 'build/classes/java/main',
+    parser: 'javac',
+    strict: true
+  },
+
+  // every setting comes from the course configuration
+  command: {
+    source: 'src',
+    versions: [],
+    compile: undefined,
+    output: undefined,
+    parser: 'none',
+    strict: true
+  }
+};
+
+/*
+ * Gets the build adapter from the build section of the course configuration,
+ * which chooses the system (maven by default) and may change any setting:
+ *
+ * build:
+ *   system: 'command'
+ *   source: 'src'
+ *   versions: [['python3', '--version']]
+ *   compile: ['python3', '-m', 'pyflakes', 'src']
+ *   parser: 'gcc'
+ */
+exports.getAdapter = function(config) {
+  const settings = config.build || {};
+  const system = settings.system || 'maven';
+
+  const adapter = Object.assign({system: system}, exports.adapters[system]);
+
+  for (const key of ['source', 'versions', 'compile', 'output', 'parser', 'strict']) {
+    if (key in settings) {
+      adapter[key] = settings[key];
+    }
+  }
+
+  adapter.parse = diagnostics.parsers[adapter.parser];
+  return adapter;
+};
+
+/*
+ * Checks the build section of the course configuration, returning a list of
+ * problems found.
+ */
+exports.validate = function(settings) {
+  const problems = [];
+
+  if (settings === undefined) {
+    return problems;
+  }
+
+  if (settings === null || typeof settings !== 'object') {
+    return ['"build" must be an object with a "system" entry'];
+  }
+
+  const system = settings.system || 'maven';
+  const command = list => Array.isArray(list) && list.length > 0 && list.every(x => typeof x === 'string' && x);
+
+  if (!(system in exports.adapters)) {
+    problems.push(`"build.system" must be one of ${Object.keys(exports.adapters).join(', ')}`);
+  }
+
+  if (system === 'command' && !('compile' in settings)) {
+    problems.push('"build.compile" is required for the command build system');
+  }
+
+  if ('compile' in settings && !command(settings.compile)) {
+    problems.push('"build.compile" must be a command as a list of strings');
+  }
+
+  if ('versions' in settings && (!Array.isArray(settings.versions) || !settings.versions.every(command))) {
+    problems.push('"build.versions" must be a list of commands (each a list of strings)');
+  }
+
+  for (const key of ['source', 'output']) {
+    if (key in settings && (typeof settings[key] !== 'string' || !settings[key])) {
+      problems.push(`"build.${key}" must be a non-empty path`);
+    }
+  }
+
+  if ('parser' in settings && !(settings.parser in diagnostics.parsers)) {
+    problems.push(`"build.parser" must be one of ${Object.keys(diagnostics.parsers).join(', ')}`);
+  }
+
+  if ('strict' in settings && typeof settings.strict !== 'boolean') {
+    problems.push('"build.strict" must be true or false');
+  }
+
+  return problems;
+};
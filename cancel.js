@@ -0,0 +1,113 @@
+const core = require('@actions/core');
+const utils = require('./utils.js');
+const api = require('./api.js');
+const reviewers = require('./reviewers.js');
+const grading = require('./grading.js');
+const errors = require('./errors.js');
+
+// CANCELLING AND RESUBMITTING REVIEW REQUESTS
+
+// label of cancelled requests, which do not count as earlier reviews
+exports.label = 'cancelled';
+
+/*
+ * Finds the open review pull request for the project, which the open-pull
+ * eligibility rule keeps to at most one. Throws an error if there is none, if
+ * it was already approved, or if the actor is neither its student nor an
+ * instructor.
+ */
+exports.findRequest = async function(octokit, context, config, project) {
+  const pulls = (await utils.getPullRequests(octokit, context, project)).filter(x => x.state == 'open');
+
+  if (pulls.length < 1) {
+    throw errors.create('cancel-failed', `No open code review request found for project ${project}.`);
+  }
+
+  const pull = pulls[pulls.length - 1];
+  core.info(`Found open code review request #${pull.number}: ${pull.html_url}`);
+
+  const students = (pull.assignees || []).map(x => x.login.toLowerCase());
+  const instructors = reviewers.logins(config).map(x => x.toLowerCase());
+  const actor = context.actor.toLowerCase();
+
+  if (!students.includes(actor) && !instructors.includes(actor)) {
+    throw errors.create('cancel-failed', `Only the student assigned to pull request #${pull.number} or an instructor may cancel it, not ${context.actor}.`);
+  }
+
+  // https://docs.github.com/en/rest/reference/pulls#list-reviews-for-a-pull-request
+  const reviews = await api.list(octokit, octokit.pulls.listReviews, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    pull_number: pull.number
+  });
+
+  // only reviews by configured reviewers count, so students cannot approve their own requests
+  const decided = grading.decide(grading.byReviewers(reviews, config), pull);
+  const labeled = (pull.labels || []).some(x => x.name == grading.labels.approved);
+
+  if (labeled || (decided && decided.outcome == 'approved')) {
+    throw errors.create('cancel-failed', `Code review request #${pull.number} was already approved and may not be cancelled.`);
+  }
+
+  return pull;
+};
+
+/*
+ * Cancels the open review pull request for the project by labeling it as
+ * cancelled, closing it with a comment explaining why, and deleting its review
+ * branch, so the student can request code review again. Returns the cancelled
+ * pull request.
+ */
+exports.cancel = async function(octokit, context, config, project, reason) {
+  const pull = await exports.findRequest(octokit, context, config, project);
+
+  const owner = context.repo.owner;
+  const repo = context.repo.repo;
+
+  // https://docs.github.com/en/rest/reference/issues#update-an-issue
+  await octokit.issues.update({
+    owner: owner,
+    repo: repo,
+    issue_number: pull.number,
+    labels: (pull.labels || []).map(x => x.name).concat([exports.label])
+  });
+
+  // https://docs.github.com/en/rest/reference/issues#create-an-issue-comment
+  await octokit.issues.createComment({
+    owner: owner,
+    repo: repo,
+    issue_number: pull.number,
+    body: `:wastebasket: This code review request was cancelled by @${context.actor}. ${reason}`
+  });
+
+  // https://docs.github.com/en/rest/reference/pulls#update-a-pull-request
+  await octokit.pulls.update({
+    owner: owner,
+    repo: repo,
+    pull_number: pull.number,
+    state: 'closed'
+  });
+
+  core.info(`Closed pull request: ${pull.html_url}`);
+
+  const branch = pull.head ? pull.head.ref : undefined;
+
+  if (branch && branch.startsWith(config.branches.review)) {
+    try {
+      // https://docs.github.com/en/rest/reference/git#delete-a-reference
+      await octokit.git.deleteRef({
+        owner: owner,
+        repo: repo,
+        ref: `heads/${branch}`
+      });
+
+      core.info(`Deleted branch: ${branch}`);
+    }
+    catch (error) {
+      // the branch may already be deleted
+      utils.showWarning(`Unable to delete branch ${branch} (${error.message}).`);
+    }
+  }
+
+  return pull;
+};
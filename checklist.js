@@ -0,0 +1,176 @@
+const core = require('@actions/core');
+
+// VERIFICATION CHECKLIST FOR THE JOB SUMMARY
+
+/*
+ * Known checks in the order they happen, with how to fix each one when it
+ * fails. Other checks (like optional eligibility or cleanup rules) are added
+ * as they are recorded.
+ */
+exports.known = {
+  'release': {
+    title: 'Release found',
+    fix: 'Publish a release (not a draft or prerelease) on Github with a tag that matches the release input (like v1.0.0).'
+  },
+  'run': {
+    title: 'Release tests passed',
+    fix: 'Wait for the release tests to finish. If they failed, fix the code on the main branch and create a new release. Never move the tag of an existing release.'
+  },
+  'functionality': {
+    title: 'Functionality passed',
+    fix: 'Pass the project functionality (with an approved functionality issue) before requesting code review.'
+  },
+  'design': {
+    title: 'Design not yet approved',
+    fix: 'The project design is already approved. No more code reviews are necessary for this project.'
+  },
+  'open-pull': {
+    title: 'No open review requests',
+    fix: 'Merge or close the open code review pull request for this project, then request code review again.'
+  },
+  'clone': {
+    title: 'Repository cloned',
+    fix: 'Make sure the main branch of the repository has the project source code where the course configuration expects it.'
+  },
+  'branch': {
+    title: 'Main branch even with release',
+    fix: 'Create a new release from the latest commit on the main branch, then request code review for that release.'
+  },
+  'compile': {
+    title: 'Code compiles without warnings',
+    fix: 'Fix every compiler warning listed in the annotations, create a new release, and request code review again.'
+  },
+  'todo': {
+    title: 'No TODO comments',
+    fix: 'Remove every TODO and FIXME comment listed in the annotations, create a new release, and request code review again.'
+  },
+  'extra-main': {
+    title: 'Single main method',
+    fix: 'Remove every main method outside of Driver.java, create a new release, and request code review again.'
+  },
+  'pull': {
+    title: 'Pull request created',
+    fix: 'Request code review again. Reach out to the instructor if creating the pull request keeps failing.'
+  }
+};
+
+const icons = {pass: ':white_check_mark:', fail: ':x:', skip: ':heavy_minus_sign:'};
+
+let checks = new Map(); // id to check results, in the order recorded
+let pending = undefined; // id of the check in progress
+
+/*
+ * Records a check with a pass, fail, or skip state. The options may give the
+ * title (used for checks that are not known), details, link, and how to fix
+ * a failure.
+ */
+exports.record = function(id, state, options = {}) {
+  const known = exports.known[id] || {};
+
+  checks.set(id, {
+    id: id,
+    state: state,
+    title: known.title || options.title || id,
+    details: options.details || '',
+    link: options.link || '',
+    fix: options.fix || known.fix || ''
+  });
+
+  if (pending === id) {
+    pending = undefined;
+  }
+};
+
+exports.pass = function(id, options) {
+  exports.record(id, 'pass', options);
+};
+
+exports.fail = function(id, options) {
+  exports.record(id, 'fail', options);
+};
+
+exports.skip = function(id, options) {
+  exports.record(id, 'skip', options);
+};
+
+/*
+ * Marks a check as in progress, so it fails with the error message if an
+ * error is thrown before it passes.
+ */
+exports.start = function(id) {
+  pending = id;
+};
+
+/*
+ * Fails the check in progress (if any) with the error message.
+ */
+exports.failPending = function(message) {
+  if (pending !== undefined) {
+    exports.fail(pending, {details: message});
+  }
+};
+
+/*
+ * Saves the checks as action state for the next phase.
+ */
+exports.save = function() {
+  core.saveState('checklist', JSON.stringify(Array.from(checks.values())));
+};
+
+/*
+ * Restores the checks saved by the previous phase.
+ */
+exports.restore = function() {
+  const saved = core.getState('checklist');
+  checks = new Map(saved ? JSON.parse(saved).map(x => [x.id, x]) : []);
+  pending = undefined;
+};
+
+/*
+ * Formats every check as a markdown table for the job summary, after the
+ * error that stopped the request (if any). Known checks that never happened
+ * are shown as skipped.
+ */
+exports.format = function(heading, error) {
+  const all = Array.from(checks.values());
+
+  for (const id in exports.known) {
+    if (!checks.has(id)) {
+      all.push({id: id, state: 'skip', title: exports.known[id].title, details: '', link: '', fix: ''});
+    }
+  }
+
+  const rows = all.map(check => {
+    const details = [];
+
+    if (check.details) {
+      details.push(check.details.replace(/\|/g, '\\|').replace(/\n/g, ' '));
+    }
+
+    if (check.link) {
+      details.push(`[View](${check.link})`);
+    }
+
+    if (check.state == 'fail' && check.fix) {
+      details.push(`**How to fix:** ${check.fix}`);
+    }
+
+    if (check.state == 'skip' && details.length < 1) {
+      details.push('Skipped');
+    }
+
+    return `| ${icons[check.state]} | ${check.title} | ${details.join(' ')} |`;
+  });
+
+  const status = error ? `:x: **Request failed:** ${error}` : ':white_check_mark: **Every check passed.**';
+
+  return `
+## ${heading}
+
+${status}
+
+| | Check | Details |
+|:-:|:------|:--------|
+${rows.join('\n')}
+`;
+};
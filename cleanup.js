@@ -0,0 +1,55 @@
+const core = require('@actions/core');
+const github = require('@actions/github');
+const utils = require('./utils.js');
+const api = require('./api.js');
+const transaction = require('./transaction.js');
+
+async function run() {
+  const token = core.getInput('token');
+  core.setSecret(token);
+
+  const octokit = api.getOctokit(token);
+
+  try {
+    utils.showTitle('Request Cleanup Phase');
+
+    // side effects recorded by the main phase
+    const effects = transaction.restore();
+
+    core.startGroup('Checking request side effects...');
+    core.info(`effects: ${JSON.stringify(effects)}`);
+    core.endGroup();
+
+    if (effects.complete) {
+      core.info('Code review request completed. Nothing to clean up.');
+    }
+    else if (effects.rolledBack) {
+      core.info('Code review request already rolled back. Nothing to clean up.');
+    }
+    else if (!effects.branch && !effects.pull) {
+      core.info('No branch or pull request created. Nothing to clean up.');
+    }
+    else {
+      // main phase stopped before finishing or rolling back (e.g. cancelled)
+      await transaction.rollback(octokit, github.context, effects, 'the request did not finish.');
+      core.warning('Rolled back unfinished code review request. Please request code review again.');
+    }
+  }
+  catch (error) {
+    utils.showError(`${error.message}\n`); // show error in group
+    core.endGroup();  // end group
+
+    // displays outside of group; always visible
+    core.setFailed(`Cleanup failed. ${error.message}`);
+  }
+  finally {
+    utils.checkWarnings('"Post Request Review"');
+  }
+}
+
+exports.run = run;
+
+// only run when executed by the action runner (not when required by tests)
+if (require.main === module) {
+  run();
+}
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+
+const usage = `Usage: request-review check <release> [--config <file>] [--dir <directory>]
+       request-review dashboard <organization> [--config <file>] [--format <format>] [--output <file>] [--prefix <text>]
+
+The check command runs the code checks of a code review request on a local
+copy of the project before creating the release: the version must match a
+configured project, the code must compile without warnings, and the code must
+pass the cleanup checks. No Github token is needed.
+
+The dashboard command writes a report of the review requests in every student
+repository of the organization. It needs a Github token with access to those
+repositories in the GITHUB_TOKEN environment variable.
+
+Options:
+  --config <file>     course configuration file (default: the built-in one)
+  --dir <directory>   project directory to check (default: current directory)
+  --format <format>   report format: markdown, html, or csv (default: markdown)
+  --output <file>     report file (default: review-dashboard with the format extension)
+  --prefix <text>     only include repositories starting with this text`;
+
+// options each command accepts
+const commands = {
+  check: ['config', 'dir'],
+  dashboard: ['config', 'format', 'output', 'prefix']
+};
+
+const extensions = {markdown: 'md', html: 'html', csv: 'csv'};
+
+/*
+ * Parses the command line arguments into the command, its one argument, and
+ * its options. Returns undefined if they are invalid.
+ */
+function parseArgs(args) {
+  const parsed = {command: args[0], argument: undefined, options: {}};
+  const rest = args.slice(1);
+
+  if (!(parsed.command in commands)) {
+    return undefined;
+  }
+
+  while (rest.length > 0) {
+    const arg = rest.shift();
+
+    if (arg.startsWith('--') && commands[parsed.command].includes(arg.substring(2))) {
+      if (rest.length < 1) {
+        return undefined;
+      }
+
+      parsed.options[arg.substring(2)] = rest.shift();
+    }
+    else if (!arg.startsWith('-') && parsed.argument === undefined) {
+      parsed.argument = arg;
+    }
+    else {
+      return undefined;
+    }
+  }
+
+  return parsed.argument ? parsed : undefined;
+}
+
+/*
+ * Runs the code checks on a local project directory.
+ */
+async function check(release, options) {
+  const utils = require('./utils.js');
+  const config = require('./config.js');
+  const version = require('./version.js');
+  const build = require('./build.js');
+  const verify = require('./verify.js');
+
+  const dir = path.resolve(options.dir || '.');
+
+  const settings = config.loadConfig();
+  const details = version.parse(release, settings);
+  const adapter = build.getAdapter(settings);
+
+  utils.showTitle(`Checking project ${details.project} release ${details.version} in ${dir}`);
+
+  const compiled = await verify.compile(dir, adapter);
+  const findings = verify.cleanup(dir, adapter, settings, details.project);
+
+  utils.showSuccess(`Release ${details.version} passed the local checks (${compiled.length} compiler warnings, ${findings.length} cleanup warnings).`);
+}
+
+/*
+ * Writes the report of review requests across the organization.
+ */
+async function dashboard(org, options) {
+  const { DateTime } = require('luxon');
+  const utils = require('./utils.js');
+  const api = require('./api.js');
+  const config = require('./config.js');
+  const report = require('./dashboard.js');
+
+  const format = options.format || 'markdown';
+  const output = path.resolve(options.output || `review-dashboard.${extensions[format]}`);
+
+  if (!report.formats.includes(format)) {
+    throw new Error(`Unknown report format ${format}, expected one of: ${report.formats.join(', ')}`);
+  }
+
+  if (!process.env.GITHUB_TOKEN) {
+    throw new Error('Set the GITHUB_TOKEN environment variable to a token with access to the student repositories');
+  }
+
+  const settings = config.loadConfig();
+  const octokit = api.getOctokit(process.env.GITHUB_TOKEN);
+  const now = DateTime.now().setZone(settings.zone);
+
+  const repos = await report.listRepositories(octokit, org, options.prefix);
+  const requests = await report.gather(octokit, org, repos, settings, now);
+
+  fs.writeFileSync(output, report.format(requests, format, org, now));
+  utils.showSuccess(`Wrote ${requests.length} review requests from ${repos.length} repositories to ${output}.`);
+}
+
+/*
+ * Runs the command and returns the exit code.
+ */
+async function run(args) {
+  const parsed = parseArgs(args);
+
+  if (parsed === undefined) {
+    console.log(usage);
+    return 2;
+  }
+
+  // the action modules read the configuration input from the environment
+  if (parsed.options.config) {
+    process.env.INPUT_CONFIG = path.resolve(parsed.options.config);
+  }
+
+  const utils = require('./utils.js');
+  const errors = require('./errors.js');
+
+  try {
+    if (parsed.command == 'check') {
+      await check(parsed.argument, parsed.options);
+    }
+    else {
+      await dashboard(parsed.argument, parsed.options);
+    }
+
+    return 0;
+  }
+  catch (error) {
+    utils.showError(`${error.message} (${errors.getCode(error)})`);
+    return 1;
+  }
+}
+
+// only run when executed from the command line (not when required by tests)
+if (require.main === module) {
+  run(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+exports.run = run;
@@ -0,0 +1,147 @@
+const core = require('@actions/core');
+const path = require('path');
+const utils = require('./utils.js');
+const version = require('./version.js');
+const api = require('./api.js');
+const cancel = require('./cancel.js');
+
+// COMPARISON WITH THE PREVIOUS REVIEW
+
+/*
+ * Finds the release of the student's previous code review for the project from
+ * the release labels of earlier pull requests that were not cancelled. Prefers the latest earlier
+ * release that was approved, otherwise uses the latest earlier release. Returns
+ * the release version and pull request, or undefined if there was no earlier
+ * review request.
+ */
+exports.findPrevious = async function(octokit, context, pulls, states, config) {
+  const current = version.match(states.releaseTag, config);
+  const earlier = [];
+
+  for (const pull of pulls) {
+    // cancelled requests (including rolled back ones) were never reviewed
+    if ((pull.labels || []).some(x => x.name == cancel.label)) {
+      continue;
+    }
+
+    for (const label of pull.labels || []) {
+      const parsed = version.match(label.name, config);
+
+      if (parsed && parsed.project == states.project && version.compare(parsed, current) < 0) {
+        earlier.push(Object.assign(parsed, {pull: pull}));
+      }
+    }
+  }
+
+  if (earlier.length < 1) {
+    core.info(`No earlier review requests for project ${states.project} found.`);
+    return undefined;
+  }
+
+  earlier.sort((x, y) => version.compare(y, x));
+
+  const reviewed = [];
+
+  for (const release of earlier) {
+    // https://docs.github.com/en/rest/reference/pulls#list-reviews-for-a-pull-request
+    const reviews = await api.list(octokit, octokit.pulls.listReviews, {
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      pull_number: release.pull.number
+    });
+
+    release.approved = reviews.some(x => x.state == 'APPROVED');
+    reviewed.push(release);
+
+    if (release.approved) {
+      break;
+    }
+  }
+
+  const found = reviewed.find(x => x.approved) || reviewed[0];
+  core.info(`Comparing with release ${found.version} from pull request #${found.pull.number}${found.approved ? ' (approved)' : ''}.`);
+  return found;
+};
+
+/*
+ * Runs git in the repository and returns its output.
+ */
+async function git(dir, param) {
+  let output = '';
+
+  await utils.checkExec('git', {
+    param: param,
+    title: `Running git ${param[0]}`,
+    error: `Unable to run git ${param[0]}`,
+    chdir: dir,
+    listeners: {stdout: data => { output += data.toString(); }}
+  });
+
+  return output.split('\n').filter(x => x.trim());
+}
+
+/*
+ * Summarizes the changes to the source code between two releases: the status
+ * (added, deleted, or modified) and lines added and removed per file.
+ */
+exports.summarize = async function(dir, from, to, source) {
+  const files = new Map();
+
+  for (const line of await git(dir, ['diff', '--no-renames', '--name-status', from, to, '--', source])) {
+    const [status, file] = line.split('\t');
+    files.set(file, {file: file, name: path.basename(file, '.java'), status: {A: 'added', D: 'deleted'}[status] || 'modified', added: 0, removed: 0});
+  }
+
+  for (const line of await git(dir, ['diff', '--no-renames', '--numstat', from, to, '--', source])) {
+    const [added, removed, file] = line.split('\t');
+
+    if (files.has(file)) {
+      // binary files show - instead of line counts
+      files.get(file).added = +added || 0;
+      files.get(file).removed = +removed || 0;
+    }
+  }
+
+  const summary = {files: Array.from(files.values()), added: 0, removed: 0};
+
+  for (const file of summary.files) {
+    summary.added += file.added;
+    summary.removed += file.removed;
+  }
+
+  return summary;
+};
+
+/*
+ * Formats the comparison as markdown for the pull request body.
+ */
+exports.format = function(previous, summary, url) {
+  if (previous === undefined) {
+    return 'N/A (no previous code review request for this project)';
+  }
+
+  const classes = status => {
+    const found = summary.files.filter(x => x.status == status && x.file.endsWith('.java')).map(x => `\`${x.name}\``);
+    return found.length > 0 ? found.join(', ') : 'None';
+  };
+
+  const lines = [
+    `- **Compared To:** Release ${previous.version} from pull request #${previous.pull.number}${previous.approved ? ' (approved)' : ''}`,
+    `- **Compare Link:** [${url.split('/compare/')[1]}](${url})`,
+    `- **Changed Files:** ${summary.files.length}`,
+    `- **Lines Changed:** +${summary.added} / -${summary.removed}`,
+    `- **New Classes:** ${classes('added')}`,
+    `- **Deleted Classes:** ${classes('deleted')}`
+  ];
+
+  if (summary.files.length > 0) {
+    lines.push(
+      '',
+      '| Class | Status | Added | Removed |',
+      '|:------|:------:|------:|--------:|',
+      ...summary.files.map(x => `| \`${x.file.endsWith('.java') ? x.name : x.file}\` | ${x.status} | +${x.added} | -${x.removed} |`)
+    );
+  }
+
+  return lines.join('\n');
+};
@@ -0,0 +1,191 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { DateTime } = require('luxon');
+const analysis = require('./analysis.js');
+const eligibility = require('./eligibility.js');
+const reviewers = require('./reviewers.js');
+const build = require('./build.js');
+const reminders = require('./reminders.js');
+const grading = require('./grading.js');
+const templates = require('./templates.js');
+const utils = require('./utils.js');
+const errors = require('./errors.js');
+
+exports.defaultFile = path.join(__dirname, 'course.yml');
+
+let cached = undefined; // configuration shared by all phases of a run
+
+/*
+ * Finds the configuration text to parse. The config input may either be a
+ * path to a YAML or JSON file (relative to the action directory) or the YAML
+ * or JSON text itself. Uses the default course configuration if not provided.
+ */
+function readConfig() {
+  const input = core.getInput('config');
+
+  if (!input) {
+    core.info(`Using default configuration: ${exports.defaultFile}`);
+    return fs.readFileSync(exports.defaultFile, 'utf8');
+  }
+
+  // inline configuration spans multiple lines or is a json object
+  if (input.includes('\n') || input.startsWith('{')) {
+    core.info('Using inline configuration.');
+    return input;
+  }
+
+  const file = utils.resolveFile(input);
+
+  if (!fs.existsSync(file)) {
+    throw errors.create('invalid-config', `Unable to find configuration file: ${input}`);
+  }
+
+  core.info(`Using configuration file: ${file}`);
+  return fs.readFileSync(file, 'utf8');
+}
+
+/*
+ * Checks the parsed configuration and returns a list of problems found. An
+ * empty list means the configuration is valid.
+ */
+function validateConfig(config) {
+  const problems = [];
+
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    return ['configuration must be a YAML or JSON object'];
+  }
+
+  if (typeof config.course !== 'string' || !config.course) {
+    problems.push('"course" must be a non-empty string');
+  }
+
+  if (typeof config.zone !== 'string' || !DateTime.local().setZone(config.zone).isValid) {
+    problems.push(`"zone" must be a valid time zone (found ${JSON.stringify(config.zone)})`);
+  }
+
+  if (typeof config.version !== 'string') {
+    problems.push('"version" must be a regular expression string');
+  }
+  else {
+    try {
+      // counts capturing groups by matching the empty alternative
+      const groups = new RegExp(`${config.version}|`).exec('').length - 1;
+
+      if (groups !== 3) {
+        problems.push(`"version" must capture exactly 3 groups for the project, reviews, and patches (found ${groups})`);
+      }
+    }
+    catch (error) {
+      problems.push(`"version" is not a valid regular expression (${error.message})`);
+    }
+  }
+
+  const branches = config.branches;
+
+  if (branches === null || typeof branches !== 'object') {
+    problems.push('"branches" must be an object with "main" and "review" entries');
+  }
+  else {
+    for (const key of ['main', 'review']) {
+      if (typeof branches[key] !== 'string' || !branches[key]) {
+        problems.push(`"branches.${key}" must be a non-empty string`);
+      }
+    }
+  }
+
+  problems.push(...reviewers.validate(config.reviewers, config.assignment));
+
+  const projects = config.projects;
+
+  if (projects === null || typeof projects !== 'object' || Object.keys(projects).length < 1) {
+    problems.push('"projects" must map one or more project numbers to project settings');
+  }
+  else {
+    for (const number in projects) {
+      const project = projects[number];
+
+      if (!/^\d+$/.test(number)) {
+        problems.push(`"projects.${number}" must use a project number as its key`);
+      }
+
+      if (project === null || typeof project !== 'object') {
+        problems.push(`"projects.${number}" must be an object with "name" and "guide" entries`);
+        continue;
+      }
+
+      for (const key of ['name', 'guide']) {
+        if (typeof project[key] !== 'string' || !project[key]) {
+          problems.push(`"projects.${number}.${key}" must be a non-empty string`);
+        }
+      }
+    }
+  }
+
+  if ('roster' in config) {
+    const roster = config.roster;
+
+    if (roster === null || typeof roster !== 'object' || typeof roster.repository !== 'string' || !/^[\w.-]+\/[\w.-]+$/.test(roster.repository) || typeof roster.path !== 'string' || !roster.path) {
+      problems.push('"roster" must be an object with "repository" (owner/name) and "path" entries');
+    }
+  }
+
+  problems.push(...analysis.validate(config.analysis));
+  problems.push(...eligibility.validate(config.eligibility));
+  problems.push(...build.validate(config.build));
+  problems.push(...reminders.validate(config.reminders));
+  problems.push(...grading.validate(config.grading));
+  problems.push(...templates.validate(config.templates));
+
+  return problems;
+}
+
+/*
+ * Loads, validates, and caches the course configuration. Throws an error
+ * listing every problem found if the configuration is invalid.
+ */
+exports.loadConfig = function() {
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  core.startGroup('Loading course configuration...');
+  core.info('');
+
+  let config = undefined;
+
+  try {
+    config = yaml.load(readConfig());
+  }
+  catch (error) {
+    throw errors.create('invalid-config', `Unable to parse course configuration (${error.message.split('\n')[0]}).`);
+  }
+
+  const problems = validateConfig(config);
+
+  if (problems.length > 0) {
+    throw errors.create('invalid-config', `Invalid course configuration: ${problems.join('; ')}.`);
+  }
+
+  config.regex = new RegExp(config.version);
+
+  core.info(`Course     : ${config.course}`);
+  core.info(`Time zone  : ${config.zone}`);
+  core.info(`Version    : ${config.version}`);
+  core.info(`Main branch: ${config.branches.main}`);
+  core.info(`Build      : ${(config.build && config.build.system) || 'maven'}`);
+  core.info(`Reviewers  : ${reviewers.logins(config).join(', ')}`);
+
+  for (const number in config.projects) {
+    core.info(`Project ${number}  : ${config.projects[number].name} (${config.projects[number].guide})`);
+  }
+
+  core.info('');
+  core.endGroup();
+
+  cached = config;
+  return config;
+};
+
+exports.validateConfig = validateConfig;
@@ -0,0 +1,235 @@
+const core = require('@actions/core');
+const { DateTime } = require('luxon');
+const utils = require('./utils.js');
+const api = require('./api.js');
+const reminders = require('./reminders.js');
+
+// COURSE-WIDE DASHBOARD OF REVIEW REQUESTS
+
+exports.formats = ['markdown', 'html', 'csv'];
+
+/*
+ * Lists the student repositories in the organization, which are the ones that
+ * are not archived and start with the prefix (if any).
+ */
+exports.listRepositories = async function(octokit, org, prefix) {
+  // https://docs.github.com/en/rest/reference/repos#list-organization-repositories
+  core.info(`Listing repositories in ${org}...`);
+
+  const repos = await api.list(octokit, octokit.repos.listForOrg, {org: org, type: 'all'});
+  const found = repos.filter(x => !x.archived && (!prefix || x.name.startsWith(prefix))).map(x => x.name).sort();
+
+  core.info(`Found ${found.length} repositories${prefix ? ` starting with ${prefix}` : ''}.`);
+  return found;
+};
+
+/*
+ * Gets the label on a pull request that matches the pattern, if any.
+ */
+function findLabel(pull, pattern) {
+  const found = (pull.labels || []).map(x => x.name).find(x => pattern.test(x));
+  return found === undefined ? '' : found;
+}
+
+/*
+ * Gathers the review pull requests of every repository with their status,
+ * wait time in business days, and approvals. Requests ready for review wait
+ * from when they were last marked ready, like the reminders, and the
+ * configured holidays are not business days.
+ */
+exports.gather = async function(octokit, org, repos, config, now) {
+  const holidays = reminders.getSettings(config).holidays;
+  const requests = [];
+
+  for (const repo of repos) {
+    const context = {repo: {owner: org, repo: repo}};
+    const pulls = await utils.getPullRequests(octokit, context);
+
+    for (const pull of pulls) {
+      // https://docs.github.com/en/rest/reference/pulls#list-reviews-for-a-pull-request
+      const reviews = await api.list(octokit, octokit.pulls.listReviews, {
+        owner: org,
+        repo: repo,
+        pull_number: pull.number
+      });
+
+      const created = DateTime.fromISO(pull.created_at).setZone(config.zone);
+      const closed = pull.closed_at ? DateTime.fromISO(pull.closed_at).setZone(config.zone) : undefined;
+
+      let status = pull.merged_at ? 'merged' : pull.state;
+
+      if (status == 'open') {
+        status = pull.draft ? 'draft' : 'ready';
+      }
+
+      const since = status == 'ready' ? DateTime.fromISO(await reminders.findReady(octokit, context, pull)).setZone(config.zone) : created;
+
+      // the action creates the pull request and assigns the student
+      const student = (pull.assignees || []).length > 0 ? pull.assignees[0].login : (pull.user ? pull.user.login : '');
+
+      requests.push({
+        repo: repo,
+        number: pull.number,
+        url: pull.html_url,
+        student: student,
+        project: findLabel(pull, /^project\d+$/).replace('project', ''),
+        type: findLabel(pull, /^(synchronous|asynchronous)$/),
+        version: findLabel(pull, config.regex),
+        status: status,
+        created: created,
+        closed: closed,
+        waiting: utils.businessDays(since, closed || now, holidays),
+        approvals: reviews.filter(x => x.state == 'APPROVED').length,
+        reviewed: reviews.some(x => x.state == 'APPROVED' || x.state == 'CHANGES_REQUESTED')
+      });
+    }
+  }
+
+  core.info(`Found ${requests.length} review requests in ${repos.length} repositories.`);
+  return requests;
+};
+
+/*
+ * Counts the review requests, open requests, completed reviews, and approvals
+ * of each student.
+ */
+exports.summarize = function(requests) {
+  const students = new Map();
+
+  for (const request of requests) {
+    const key = `${request.repo}/${request.student}`;
+
+    if (!students.has(key)) {
+      students.set(key, {student: request.student, repo: request.repo, requests: 0, open: 0, reviewed: 0, approvals: 0});
+    }
+
+    const counts = students.get(key);
+    counts.requests++;
+    counts.open += request.status == 'ready' || request.status == 'draft' ? 1 : 0;
+    counts.reviewed += request.reviewed ? 1 : 0;
+    counts.approvals += request.approvals;
+  }
+
+  return Array.from(students.values()).sort((x, y) => x.student.localeCompare(y.student));
+};
+
+// columns of the request tables, with an optional link for each cell
+const columns = [
+  {name: 'Request', value: x => `${x.repo}#${x.number}`, link: x => x.url},
+  {name: 'Student', value: x => x.student},
+  {name: 'Project', value: x => x.project},
+  {name: 'Type', value: x => x.type},
+  {name: 'Version', value: x => x.version},
+  {name: 'Created', value: x => x.created.toISODate()},
+  {name: 'Business Days', value: x => x.waiting},
+  {name: 'Approvals', value: x => x.approvals}
+];
+
+const totals = [
+  {name: 'Student', value: x => x.student},
+  {name: 'Repository', value: x => x.repo},
+  {name: 'Requests', value: x => x.requests},
+  {name: 'Open', value: x => x.open},
+  {name: 'Reviewed', value: x => x.reviewed},
+  {name: 'Approvals', value: x => x.approvals}
+];
+
+/*
+ * Splits the requests into report sections: requests ready for review (longest
+ * wait first), pending drafts, closed requests (newest first), and the counts
+ * per student.
+ */
+function getSections(requests) {
+  const waiting = (x, y) => y.waiting - x.waiting;
+  const newest = (x, y) => y.created - x.created;
+
+  return [
+    {title: 'Ready for Review', columns: columns, rows: requests.filter(x => x.status == 'ready').sort(waiting)},
+    {title: 'Pending Drafts', columns: columns, rows: requests.filter(x => x.status == 'draft').sort(waiting)},
+    {title: 'Closed Requests', columns: columns, rows: requests.filter(x => x.status == 'closed' || x.status == 'merged').sort(newest)},
+    {title: 'Students', columns: totals, rows: exports.summarize(requests)}
+  ];
+}
+
+function formatMarkdown(heading, sections) {
+  const escape = text => String(text).replace(/\|/g, '\\|');
+  const lines = [`# ${heading}`];
+
+  for (const section of sections) {
+    lines.push('', `## ${section.title} (${section.rows.length})`, '');
+
+    if (section.rows.length < 1) {
+      lines.push('None');
+      continue;
+    }
+
+    lines.push(`| ${section.columns.map(x => x.name).join(' | ')} |`);
+    lines.push(`|${section.columns.map(() => ':---').join('|')}|`);
+
+    for (const row of section.rows) {
+      const cells = section.columns.map(x => x.link ? `[${escape(x.value(row))}](${x.link(row)})` : escape(x.value(row)));
+      lines.push(`| ${cells.join(' | ')} |`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function formatHtml(heading, sections) {
+  const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const lines = ['<!DOCTYPE html>', '<html>', '<head>', '<meta charset="utf-8">', `<title>${escape(heading)}</title>`, '</head>', '<body>', `<h1>${escape(heading)}</h1>`];
+
+  for (const section of sections) {
+    lines.push(`<h2>${escape(section.title)} (${section.rows.length})</h2>`);
+
+    if (section.rows.length < 1) {
+      lines.push('<p>None</p>');
+      continue;
+    }
+
+    lines.push('<table>', `<tr>${section.columns.map(x => `<th>${escape(x.name)}</th>`).join('')}</tr>`);
+
+    for (const row of section.rows) {
+      const cells = section.columns.map(x => x.link ? `<a href="${escape(x.link(row))}">${escape(x.value(row))}</a>` : escape(x.value(row)));
+      lines.push(`<tr>${cells.map(x => `<td>${x}</td>`).join('')}</tr>`);
+    }
+
+    lines.push('</table>');
+  }
+
+  lines.push('</body>', '</html>');
+  return `${lines.join('\n')}\n`;
+}
+
+function formatCsv(requests) {
+  const escape = text => /[",\n]/.test(String(text)) ? `"${String(text).replace(/"/g, '""')}"` : String(text);
+  const fields = ['repo', 'number', 'url', 'student', 'project', 'type', 'version', 'status', 'created', 'closed', 'waiting', 'approvals'];
+
+  const lines = [fields.join(',')];
+
+  for (const request of requests) {
+    const row = Object.assign({}, request, {
+      created: request.created.toISO(),
+      closed: request.closed ? request.closed.toISO() : ''
+    });
+
+    lines.push(fields.map(x => escape(row[x])).join(','));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/*
+ * Formats the review requests as a markdown, html, or csv report. The csv
+ * report has one row per request (the per-student counts can be derived).
+ */
+exports.format = function(requests, format, org, now) {
+  const heading = `Code Review Dashboard for ${org} (${now.toLocaleString(DateTime.DATETIME_FULL)})`;
+
+  switch (format) {
+    case 'markdown': return formatMarkdown(heading, getSections(requests));
+    case 'html': return formatHtml(heading, getSections(requests));
+    case 'csv': return formatCsv(requests);
+    default: throw new Error(`Unknown report format: ${format}`);
+  }
+};
@@ -0,0 +1,221 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const utils = require('./utils.js');
+
+// COMPILER DIAGNOSTICS
+
+/*
+ * Makes absolute paths in compiler output relative to the repository, so they
+ * may be used for annotations and review comments.
+ */
+function relativePath(file, base) {
+  const roots = fs.existsSync(base) ? [path.resolve(base), fs.realpathSync(base)] : [path.resolve(base)];
+
+  for (const root of roots) {
+    if (file.startsWith(root + path.sep)) {
+      return path.relative(root, file);
+    }
+  }
+
+  return file;
+}
+
+/*
+ * Keeps the unique diagnostics, since build tools may repeat warnings (for
+ * example as errors when warnings are fatal). Keeps the most severe level.
+ */
+function unique(diagnostics) {
+  const found = new Map();
+
+  for (const diagnostic of diagnostics) {
+    const key = `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}:${diagnostic.message}`;
+
+    if (!found.has(key) || diagnostic.level === 'error') {
+      found.set(key, diagnostic);
+    }
+  }
+
+  return Array.from(found.values());
+}
+
+/*
+ * Parses the javac diagnostics from Maven output, which look like:
+ *
+ * [WARNING] /path/to/File.java:[12,5] [rawtypes] found raw type: List
+ * [ERROR] /path/to/File.java:[20,9] cannot find symbol
+ *
+ * Returns the unique diagnostics (file, line, column, category, message,
+ * level), since Maven repeats warnings as errors when warnings are fatal.
+ */
+exports.parseMaven = function(output, base) {
+  const regex = /^\[(WARNING|ERROR)\]\s+(.+?\.java):\[(\d+),(\d+)\]\s+(?:\[([\w-]+)\]\s+)?(.*)$/;
+  const found = [];
+
+  for (const line of output.split(/\r?\n/)) {
+    const matched = line.match(regex);
+
+    if (matched) {
+      found.push({
+        file: relativePath(matched[2], base),
+        line: +matched[3],
+        column: +matched[4],
+        category: matched[5] || 'javac',
+        message: matched[6].trim(),
+        level: matched[1] === 'ERROR' ? 'error' : 'warning'
+      });
+    }
+  }
+
+  return unique(found);
+};
+
+/*
+ * Parses plain javac diagnostics (as shown by Gradle), which have no column:
+ *
+ * /path/to/File.java:12: warning: [rawtypes] found raw type: List
+ */
+exports.parseJavac = function(output, base) {
+  const regex = /^(.+?\.java):(\d+):\s+(warning|error):\s+(?:\[([\w-]+)\]\s+)?(.*)$/;
+  const found = [];
+
+  for (const line of output.split(/\r?\n/)) {
+    const matched = line.match(regex);
+
+    if (matched) {
+      found.push({
+        file: relativePath(matched[1], base),
+        line: +matched[2],
+        column: undefined,
+        category: matched[4] || 'javac',
+        message: matched[5].trim(),
+        level: matched[3]
+      });
+    }
+  }
+
+  return unique(found);
+};
+
+/*
+ * Parses the diagnostics of GCC style compilers and linters, which look like:
+ *
+ * src/main.c:12:5: warning: unused variable 'x' [-Wunused-variable]
+ */
+exports.parseGcc = function(output, base) {
+  const regex = /^(.+?):(\d+):(?:(\d+):)?\s+(warning|error):\s+(.*?)(?:\s+\[([^\]]+)\])?$/;
+  const found = [];
+
+  for (const line of output.split(/\r?\n/)) {
+    const matched = line.match(regex);
+
+    if (matched) {
+      found.push({
+        file: relativePath(path.resolve(base, matched[1]), base),
+        line: +matched[2],
+        column: matched[3] ? +matched[3] : undefined,
+        category: matched[6] || 'compiler',
+        message: matched[5].trim(),
+        level: matched[4]
+      });
+    }
+  }
+
+  return unique(found);
+};
+
+/*
+ * Parsers by name, for build configurations that choose one.
+ */
+exports.parsers = {
+  maven: exports.parseMaven,
+  javac: exports.parseJavac,
+  gcc: exports.parseGcc,
+  none: () => []
+};
+
+/*
+ * Outputs each diagnostic as an annotation and adds a table of them to the
+ * job summary. Diagnostics are errors when compiling failed.
+ */
+exports.report = function(diagnostics, failed) {
+  if (diagnostics.length < 1) {
+    core.info('\nNo compiler diagnostics found.');
+    return;
+  }
+
+  core.info(`\nFound ${diagnostics.length} compiler diagnostics:`);
+
+  const rows = [
+    '| File | Line | Column | Category | Message |',
+    '|:-----|-----:|-------:|:---------|:--------|'
+  ];
+
+  for (const diagnostic of diagnostics) {
+    const level = failed ? 'error' : diagnostic.level;
+    const column = diagnostic.column === undefined ? '' : diagnostic.column;
+    const properties = {
+      file: diagnostic.file,
+      startLine: diagnostic.line,
+      title: `Compiler: ${diagnostic.category}`
+    };
+
+    if (diagnostic.column !== undefined) {
+      properties.startColumn = diagnostic.column;
+    }
+
+    core.info(`${diagnostic.file}:${diagnostic.line}:${column}: ${level}: [${diagnostic.category}] ${diagnostic.message}`);
+
+    if (level === 'error') {
+      core.error(diagnostic.message, properties);
+    }
+    else {
+      core.warning(diagnostic.message, properties);
+    }
+
+    rows.push(`| \`${diagnostic.file}\` | ${diagnostic.line} | ${column} | ${diagnostic.category} | ${diagnostic.message.replace(/\|/g, '\\|')} |`);
+  }
+
+  utils.writeSummary(`
+### Compiler ${failed ? 'Errors' : 'Warnings'}
+
+${rows.join('\n')}
+`);
+};
+
+/*
+ * Adds non-fatal findings (file, line, category, message) to the pull request
+ * as a review. The findings are listed in the review body, since the review
+ * branch only adds an empty commit to the release and the pull request diff
+ * has no lines to attach inline comments to.
+ */
+exports.addReviewComments = async function(octokit, context, pull, findings) {
+  if (findings.length < 1) {
+    core.info('No warnings to add as review comments.');
+    return;
+  }
+
+  const body = [
+    `:robot: Found ${findings.length} warnings that do not block code review but should be addressed.`,
+    '',
+    ...findings.map(x => `- \`${x.file}:${x.line}\` ${x.message} (${x.category})`)
+  ];
+
+  // https://docs.github.com/en/rest/reference/pulls#create-a-review-for-a-pull-request
+  const review = {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    pull_number: pull,
+    event: 'COMMENT',
+    body: body.join('\n')
+  };
+
+  const result = await octokit.pulls.createReview(review);
+
+  if (result.status != 200) {
+    core.info(`Result: ${JSON.stringify(result)}`);
+    throw new Error(`Unable to add review comments to pull request #${pull}`);
+  }
+
+  core.info(`Added ${findings.length} warnings as a review of pull request #${pull}.`);
+};
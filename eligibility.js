@@ -0,0 +1,579 @@
+const core = require('@actions/core');
+const { DateTime } = require('luxon');
+const yaml = require('js-yaml');
+const utils = require('./utils.js');
+const api = require('./api.js');
+const reviewers = require('./reviewers.js');
+const checklist = require('./checklist.js');
+const errors = require('./errors.js');
+const version = require('./version.js');
+const cancel = require('./cancel.js');
+
+// REVIEW ELIGIBILITY RULES
+
+function isPull(issue) {
+  return 'pull_request' in issue && issue.pull_request !== null && 'html_url' in issue.pull_request;
+}
+
+/*
+ * Finds where a student was pre-approved for asynchronous code reviews, in
+ * order: the students listed in the rule options, the students listed in the
+ * approval file (a list of logins, or a map of project numbers to lists), a
+ * label an instructor added to the approved functionality issue, or an
+ * instructor comment on the approved functionality issue. Returns undefined
+ * if not approved.
+ */
+async function findApproval(facts, options) {
+  const login = facts.login.toLowerCase();
+  const includes = list => Array.isArray(list) && list.some(x => String(x).toLowerCase() === login);
+
+  if (includes(options.students)) {
+    return 'the course configuration';
+  }
+
+  if (options.file) {
+    const source = `${options.file.repository}/${options.file.path}`;
+
+    try {
+      const parsed = yaml.load(await facts.read(options.file));
+      const students = Array.isArray(parsed) ? parsed : (parsed || {})[facts.project];
+
+      if (includes(students)) {
+        return source;
+      }
+    }
+    catch (error) {
+      // the other approval sources may still apply
+      utils.showWarning(`Unable to read asynchronous code review approvals from ${source} (${error.message}).`);
+    }
+  }
+
+  const issue = (await facts.functionality()).find(utils.isApproved);
+
+  if (issue === undefined) {
+    return undefined;
+  }
+
+  // students administer their own repositories, so only trust instructors
+  const instructors = (options.instructors || facts.instructors).map(x => x.toLowerCase());
+  const isInstructor = user => Boolean(user) && instructors.includes(user.login.toLowerCase());
+
+  if (options.label && issue.labels.some(x => (x.name || x) === options.label)) {
+    const labeled = (await facts.timeline(issue.number))
+      .filter(x => x.event == 'labeled' && x.label && x.label.name === options.label);
+
+    const last = labeled[labeled.length - 1];
+
+    if (last && isInstructor(last.actor)) {
+      return `the ${options.label} label on issue #${issue.number}`;
+    }
+
+    core.info(`Ignoring ${options.label} label on issue #${issue.number} not added by an instructor.`);
+  }
+
+  if (options.comment) {
+    const comments = await facts.comments(issue.number);
+
+    const approved = comments.find(x => isInstructor(x.user) &&
+      (x.body || '').toLowerCase().includes(options.comment.toLowerCase()));
+
+    if (approved) {
+      return `the instructor comment on issue #${issue.number}`;
+    }
+  }
+
+  return undefined;
+}
+
+/*
+ * Replaces {{name}} placeholders in a rule message with values.
+ */
+exports.formatMessage = function(message, values) {
+  return message.replace(/{{\s*(\w+)\s*}}/g, (match, name) => name in values ? String(values[name]) : match);
+};
+
+/*
+ * Lists the releases that may come next, one for each allowed reviews number
+ * that is not before the latest earlier version.
+ */
+function listExpected(project, latest, allowed) {
+  const expected = [];
+
+  for (const reviews of allowed) {
+    if (latest === undefined || reviews > latest.reviews) {
+      expected.push(`v${project}.${reviews}.0`);
+    }
+    else if (reviews == latest.reviews) {
+      expected.push(`v${project}.${reviews}.${latest.patches + 1}`);
+    }
+  }
+
+  return expected.length > 0 ? expected.join(' or ') : `a release after ${latest.version}`;
+}
+
+/*
+ * Available rules. Each rule has whether it is enabled by default, the default
+ * failure message, and an async check given the facts about the request and
+ * the rule options. Rules without a job summary checklist entry also have a
+ * title for it. Checks return undefined when the rule passes, or the
+ * values used to format the failure message when it fails.
+ */
+exports.rules = {
+  'functionality': {
+    enabled: true,
+    message: 'Unable to detect approved functionality issue for project {{project}}. You must pass functionality before requesting code review.',
+    check: async function(facts) {
+      const passed = (await facts.functionality()).find(utils.isApproved);
+
+      if (!passed) {
+        return {};
+      }
+
+      core.info(`Passing functionality issue: ${passed.html_url}`);
+      facts.details.issueNumber = passed.number;
+      facts.details.issueUrl = passed.html_url;
+      facts.notes.functionality = {details: `Issue #${passed.number}`, link: passed.html_url};
+    }
+  },
+
+  'design': {
+    enabled: true,
+    message: 'Detected approved design issue #{{number}} for project {{project}}. Additional code reviews are not necessary.',
+    check: async function(facts) {
+      const passed = (await facts.design()).find(utils.isApproved);
+
+      if (passed) {
+        core.info(`Passing design issue: ${passed.html_url}`);
+        return {number: passed.number, url: passed.html_url};
+      }
+
+      core.info(`No passing design issues for project ${facts.project} found.`);
+    }
+  },
+
+  'open-pull': {
+    enabled: true,
+    message: 'Detected open pull request #{{number}} for project {{project}}. Please merge or close old pull requests before requesting code review.',
+    check: async function(facts) {
+      const open = (await facts.pulls()).find(x => x.state == 'open');
+
+      if (open) {
+        core.info(`Found open pull request: ${open.html_url}`);
+        return {number: open.number, url: open.html_url};
+      }
+    }
+  },
+
+  'min-days': {
+    enabled: false,
+    title: 'Enough days since last review',
+    message: 'Only {{elapsed}} days passed since code review request #{{number}} for project {{project}}. Please wait at least {{days}} days between code reviews.',
+    check: async function(facts, options) {
+      const pulls = await facts.pulls();
+
+      if (pulls.length < 1) {
+        return;
+      }
+
+      const last = pulls.reduce((x, y) => x.created_at > y.created_at ? x : y);
+      const elapsed = Math.floor(facts.now.diff(DateTime.fromISO(last.created_at), 'days').days);
+
+      core.info(`Last code review request #${last.number} was ${elapsed} days ago.`);
+
+      if (elapsed < options.days) {
+        return {elapsed: elapsed, number: last.number, days: options.days};
+      }
+    }
+  },
+
+  'max-reviews': {
+    enabled: false,
+    title: 'Under maximum reviews before design deadline',
+    message: 'Detected {{count}} code review requests for project {{project}}, which is the maximum of {{max}} before the design deadline on {{deadline}}.',
+    check: async function(facts, options) {
+      const deadline = DateTime.fromISO(options.deadline, {zone: facts.zone}).endOf('day');
+
+      if (facts.now > deadline) {
+        core.info(`Design deadline ${options.deadline} passed; no maximum number of code reviews.`);
+        return;
+      }
+
+      const count = (await facts.pulls()).length;
+
+      if (count >= options.max) {
+        return {count: count, max: options.max, deadline: options.deadline};
+      }
+    }
+  },
+
+  'review-count': {
+    enabled: false,
+    title: 'Release matches completed reviews',
+    message: 'Release {{version}} is for code review {{reviews}}, but {{count}} code reviews happened for project {{project}} so far. Please create a v{{project}}.{{count}}.X release instead.',
+    check: async function(facts) {
+      const count = await facts.reviewed();
+      core.info(`Found ${count} completed code reviews for project ${facts.project}.`);
+
+      if (facts.reviews != count) {
+        return {count: count};
+      }
+    }
+  },
+
+  'sequence': {
+    enabled: true,
+    title: 'Release in sequence',
+    message: 'Release {{version}} is out of sequence for project {{project}} because {{problem}}. Please create release {{expected}} instead.',
+    check: async function(facts) {
+      const found = await facts.versions();
+
+      const reused = found.requested.find(x => x.version === facts.version);
+      const earlier = found.released.concat(found.requested);
+      const latest = earlier.sort(version.compare)[earlier.length - 1];
+
+      // the first code review uses reviews number 0, later ones the same or next number
+      const previous = found.requested.map(x => x.reviews);
+      const allowed = previous.length > 0 ? [Math.max(...previous), Math.max(...previous) + 1] : [0];
+
+      const expected = listExpected(facts.project, latest, allowed);
+      core.info(`Latest earlier version: ${latest ? latest.version : 'none'}, expected: ${expected}`);
+
+      if (reused) {
+        return {problem: `it was already requested for code review in pull request #${reused.number}`, expected: expected};
+      }
+
+      if (latest && version.compare(facts, latest) <= 0) {
+        return {problem: `it comes before release ${latest.version}`, expected: expected};
+      }
+
+      if (!allowed.includes(facts.reviews)) {
+        const next = allowed[allowed.length - 1];
+        return {problem: `there is no code review request for v${facts.project}.${next}.X yet`, expected: expected};
+      }
+    }
+  },
+
+  'async-approval': {
+    enabled: true,
+    title: 'Asynchronous review pre-approved',
+    label: 'async-approved',
+    comment: 'approved for asynchronous',
+    downgrade: false,
+    message: 'Asynchronous code reviews for project {{project}} require instructor pre-approval, which was not found for {{login}}. Please request a synchronous code review instead.',
+    check: async function(facts, options) {
+      if (facts.type !== 'Asynchronous') {
+        return;
+      }
+
+      const source = await findApproval(facts, options);
+
+      if (source) {
+        core.info(`Found asynchronous code review pre-approval for ${facts.login} in ${source}.`);
+        facts.details.approval = source;
+        facts.notes['async-approval'] = {details: `Approved in ${source}`};
+        return;
+      }
+
+      if (options.downgrade) {
+        const notice = `Unable to find asynchronous code review pre-approval for ${facts.login} for project ${facts.project}. Changed the request to a synchronous code review instead.`;
+
+        core.notice(notice);
+        facts.details.type = 'Synchronous';
+        facts.details.downgraded = notice;
+        facts.notes['async-approval'] = {details: notice};
+        return;
+      }
+
+      return {};
+    }
+  }
+};
+
+/*
+ * Determines the enabled rules and their options for a project. The course
+ * configuration may change rules with an eligibility section, using either
+ * on or off or an object with options (and an optional message) per rule:
+ *
+ * eligibility:
+ *   rules: { min-days: { days: 3 } }
+ *   projects: { 4: { max-reviews: { max: 3, deadline: '2021-12-10' } } }
+ */
+exports.getRules = function(config, project) {
+  const settings = config.eligibility || {};
+  const overrides = settings.projects && settings.projects[project] ? settings.projects[project] : {};
+
+  const rules = {};
+
+  for (const name in exports.rules) {
+    // copies default options along with the enabled flag and message
+    let rule = Object.assign({}, exports.rules[name]);
+    delete rule.check;
+
+    for (const source of [settings.rules || {}, overrides]) {
+      const value = source[name];
+
+      if (value === 'off' || value === false) {
+        rule.enabled = false;
+      }
+      else if (value === 'on' || value === true) {
+        rule.enabled = true;
+      }
+      else if (value && typeof value === 'object') {
+        rule = Object.assign(rule, {enabled: true}, value);
+      }
+    }
+
+    if (rule.enabled) {
+      rules[name] = rule;
+    }
+  }
+
+  return rules;
+};
+
+/*
+ * Checks the eligibility section of the course configuration, returning a
+ * list of problems found.
+ */
+exports.validate = function(settings) {
+  const problems = [];
+
+  if (settings === undefined) {
+    return problems;
+  }
+
+  if (settings === null || typeof settings !== 'object') {
+    return ['"eligibility" must be an object with "rules" and "projects" entries'];
+  }
+
+  const check = function(prefix, rules) {
+    if (rules === null || typeof rules !== 'object') {
+      problems.push(`"${prefix}" must map rule names to settings`);
+      return;
+    }
+
+    for (const name in rules) {
+      const value = rules[name];
+      const key = `${prefix}.${name}`;
+
+      if (!(name in exports.rules)) {
+        problems.push(`"${key}" is not a known rule (${Object.keys(exports.rules).join(', ')})`);
+        continue;
+      }
+
+      if (['on', 'off', true, false].includes(value)) {
+        continue;
+      }
+
+      if (value === null || typeof value !== 'object') {
+        problems.push(`"${key}" must be on, off, or an object of rule options`);
+        continue;
+      }
+
+      if ('message' in value && typeof value.message !== 'string') {
+        problems.push(`"${key}.message" must be a string`);
+      }
+
+      if (name === 'min-days' && !(value.days >= 0)) {
+        problems.push(`"${key}.days" must be a number of days`);
+      }
+
+      if (name === 'max-reviews') {
+        if (!(value.max >= 0)) {
+          problems.push(`"${key}.max" must be a number of reviews`);
+        }
+
+        if (typeof value.deadline !== 'string' || !DateTime.fromISO(value.deadline).isValid) {
+          problems.push(`"${key}.deadline" must be an ISO date (like 2021-12-10)`);
+        }
+      }
+
+      if (name === 'async-approval') {
+        for (const list of ['students', 'instructors']) {
+          if (list in value && !Array.isArray(value[list])) {
+            problems.push(`"${key}.${list}" must be a list of Github usernames`);
+          }
+        }
+
+        const file = value.file;
+
+        if (file !== undefined && (file === null || typeof file !== 'object' || typeof file.repository !== 'string' || !/^[\w.-]+\/[\w.-]+$/.test(file.repository) || typeof file.path !== 'string' || !file.path)) {
+          problems.push(`"${key}.file" must be an object with "repository" (owner/name) and "path" entries`);
+        }
+
+        for (const text of ['label', 'comment']) {
+          if (text in value && value[text] !== false && typeof value[text] !== 'string') {
+            problems.push(`"${key}.${text}" must be a string or false`);
+          }
+        }
+      }
+    }
+  };
+
+  if ('rules' in settings) {
+    check('eligibility.rules', settings.rules);
+  }
+
+  if ('projects' in settings) {
+    for (const project in settings.projects) {
+      check(`eligibility.projects.${project}`, settings.projects[project]);
+    }
+  }
+
+  return problems;
+};
+
+/*
+ * Creates the facts rules are checked against. Issue and pull request
+ * listings are fetched when first needed and then reused.
+ */
+exports.getFacts = function(octokit, context, states, config) {
+  const cache = {};
+
+  const once = (key, fetch) => () => {
+    if (!(key in cache)) {
+      cache[key] = fetch();
+    }
+
+    return cache[key];
+  };
+
+  const facts = {
+    project: states.project,
+    version: states.version,
+    reviews: states.reviews,
+    patches: states.patches,
+    type: states.type,
+    login: context.actor,
+    instructors: reviewers.logins(config),
+    zone: config.zone,
+    now: DateTime.now().setZone(config.zone),
+    details: {}, // values found by rules to pass along with the states
+    notes: {},   // checklist details and links of passed rules
+
+    functionality: once('functionality', () => utils.getIssues(octokit, context, states.project, 'functionality')),
+    design: once('design', () => utils.getIssues(octokit, context, states.project, 'design')),
+
+    // comments on an issue, such as instructor approvals
+    comments: number => once(`comments${number}`, () => api.list(octokit, octokit.issues.listComments, {
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      issue_number: number
+    }))(),
+
+    // timeline events of an issue, such as who added a label
+    // https://docs.github.com/en/rest/reference/issues#list-timeline-events-for-an-issue
+    timeline: number => once(`timeline${number}`, () => api.list(octokit, octokit.issues.listEventsForTimeline, {
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      issue_number: number
+    }))(),
+
+    // text of a file in another repository, like the approval list
+    read: file => once(`${file.repository}/${file.path}`, async function() {
+      const [owner, repo] = file.repository.split('/');
+
+      // https://docs.github.com/en/rest/reference/repos#get-repository-content
+      const result = await octokit.repos.getContent({owner: owner, repo: repo, path: file.path});
+      return Buffer.from(result.data.content, result.data.encoding || 'base64').toString('utf8');
+    })(),
+
+    // review pull requests (from the issues api) for the project, except cancelled
+    // ones and the open request being resubmitted (cancelled by the main phase)
+    pulls: once('pulls', async function() {
+      const sync = await utils.getIssues(octokit, context, states.project, 'synchronous');
+      const async = await utils.getIssues(octokit, context, states.project, 'asynchronous');
+
+      return sync.concat(async).filter(isPull)
+        .filter(x => !x.labels.some(y => (y.name || y) == cancel.label))
+        .filter(x => states.resubmit === undefined || String(x.number) !== String(states.resubmit));
+    }),
+
+    // earlier versions of the project from releases and review pull request labels
+    versions: once('versions', async function() {
+      // https://docs.github.com/en/rest/reference/repos#list-releases
+      const releases = await api.list(octokit, octokit.repos.listReleases, {
+        owner: context.repo.owner,
+        repo: context.repo.repo
+      });
+
+      const released = releases
+        .filter(x => !x.draft && x.tag_name !== states.version)
+        .filter(x => !states.releaseDate || x.created_at < states.releaseDate)
+        .map(x => version.match(x.tag_name, config))
+        .filter(x => x && x.project == states.project);
+
+      const requested = [];
+
+      for (const pull of await facts.pulls()) {
+        for (const label of pull.labels || []) {
+          const parsed = version.match(label.name || label, config);
+
+          if (parsed && parsed.project == states.project) {
+            requested.push(Object.assign(parsed, {number: pull.number}));
+          }
+        }
+      }
+
+      core.info(`Found earlier releases: ${released.map(x => x.version).join(', ')}`);
+      core.info(`Found earlier review requests: ${requested.map(x => x.version).join(', ')}`);
+      return {released: released, requested: requested};
+    }),
+
+    // number of closed review pull requests that were actually reviewed
+    reviewed: once('reviewed', async function() {
+      const closed = (await facts.pulls()).filter(x => x.state == 'closed');
+
+      const reviewed = await Promise.all(closed.map(async function(pull) {
+        // https://docs.github.com/en/rest/reference/pulls#list-reviews-for-a-pull-request
+        const reviews = await api.list(octokit, octokit.pulls.listReviews, {
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          pull_number: pull.number
+        });
+
+        return reviews.some(x => x.state == 'APPROVED' || x.state == 'CHANGES_REQUESTED');
+      }));
+
+      return reviewed.filter(x => x).length;
+    })
+  };
+
+  return facts;
+};
+
+/*
+ * Evaluates every enabled rule against the facts and throws a single error
+ * with the message of every failed rule. Returns the details found by the
+ * rules (such as the functionality issue) otherwise.
+ */
+exports.check = async function(rules, facts) {
+  const failures = [];
+
+  for (const name in rules) {
+    core.info(`\nChecking ${name} rule...`);
+
+    const failed = await exports.rules[name].check(facts, rules[name]);
+
+    const title = exports.rules[name].title;
+
+    if (failed === undefined) {
+      core.info(`Passed ${name} rule.`);
+      checklist.pass(name, Object.assign({title: title}, facts.notes[name]));
+      continue;
+    }
+
+    const values = Object.assign({project: facts.project, version: facts.version, reviews: facts.reviews, login: facts.login}, rules[name], failed);
+    const message = exports.formatMessage(rules[name].message, values);
+
+    utils.showError(`Failed ${name} rule: ${message}`);
+    checklist.fail(name, {title: title, details: message, link: failed.url});
+    failures.push(message);
+  }
+
+  if (failures.length > 0) {
+    throw errors.create('ineligible', failures.join(' '));
+  }
+
+  return facts.details;
+};
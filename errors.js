@@ -0,0 +1,52 @@
+// FAILURE CODES
+
+/*
+ * Stable failure codes (used for the failure-code output) and what each one
+ * means. Messages may change, but these codes should not.
+ */
+exports.codes = {
+  'invalid-config': 'The course configuration is missing or invalid.',
+  'invalid-type': 'The review type input is missing or invalid.',
+  'invalid-mode': 'The mode input is invalid.',
+  'invalid-release': 'The release is not a valid version of a configured project.',
+  'release-not-found': 'The release does not exist on Github.',
+  'release-not-published': 'The release is a draft or prerelease.',
+  'release-not-verified': 'The release tests did not run or did not pass.',
+  'ineligible': 'One or more review eligibility rules failed.',
+  'clone-failed': 'The repository or its project code could not be cloned.',
+  'release-outdated': 'The main branch has commits after the release.',
+  'git-error': 'A git command failed.',
+  'environment-error': 'The configured build tool (like Java, Maven, or Gradle) is not available.',
+  'compile-failed': 'The code did not compile without warnings.',
+  'cleanup-failed': 'The code has cleanup problems at the error level.',
+  'push-failed': 'The review branch could not be pushed.',
+  'pull-request-failed': 'The pull request could not be created or finished.',
+  'cancel-failed': 'The open review request could not be cancelled.',
+  'github-api-error': 'A Github API request failed.',
+  'unexpected-error': 'Something else went wrong.'
+};
+
+/*
+ * Creates an error with a failure code.
+ */
+exports.create = function(code, message) {
+  const error = new Error(message);
+  error.failure = code;
+  return error;
+};
+
+/*
+ * Gets the failure code of an error. Errors from the Github API without
+ * their own failure code are API errors.
+ */
+exports.getCode = function(error) {
+  if (error && error.failure in exports.codes) {
+    return error.failure;
+  }
+
+  if (error && typeof error.status === 'number') {
+    return 'github-api-error';
+  }
+
+  return 'unexpected-error';
+};
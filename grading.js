@@ -0,0 +1,334 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const api = require('./api.js');
+const utils = require('./utils.js');
+const roster = require('./roster.js');
+const reviewers = require('./reviewers.js');
+
+// REVIEW OUTCOMES AND GRADE EXPORT
+
+/*
+ * Label added to the pull request for each review outcome.
+ */
+exports.labels = {
+  'approved': 'approved',
+  'changes-requested': 'changes-requested',
+  'not-approved': 'not-approved'
+};
+
+exports.defaultFile = 'grades.csv';
+
+// columns of the grade export, in order
+exports.fields = ['recorded', 'repository', 'pull', 'url', 'login', 'name', 'email', 'project', 'version', 'type', 'outcome', 'reviewer'];
+
+/*
+ * Checks the grading section of the course configuration, returning a list
+ * of problems found.
+ */
+exports.validate = function(settings) {
+  if (settings === undefined) {
+    return [];
+  }
+
+  if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['"grading" must be an object with a "file" entry'];
+  }
+
+  if ('file' in settings && !(typeof settings.file === 'string' && /\.(csv|json)$/.test(settings.file))) {
+    return ['"grading.file" must be the path of a .csv or .json file'];
+  }
+
+  return [];
+};
+
+/*
+ * Keeps only the reviews by the configured reviewers. The review pull request
+ * is created with the student token, so the student (or a bot) may review it
+ * too, but those reviews never decide the outcome.
+ */
+exports.byReviewers = function(reviews, config) {
+  const logins = reviewers.logins(config).map(x => x.toLowerCase());
+  return reviews.filter(x => x.user && x.user.type != 'Bot' && logins.includes(x.user.login.toLowerCase()));
+};
+
+/*
+ * Works out the outcome of a review pull request from the latest approval or
+ * change request of each reviewer: approved if someone approved and nobody
+ * requested changes, not approved if closed otherwise, and changes requested
+ * if still open with requested changes. Returns the outcome and the reviewer
+ * (if any), or undefined if there is no outcome yet.
+ */
+exports.decide = function(reviews, pull) {
+  const latest = new Map(); // reviewer to their latest deciding review
+
+  for (const review of reviews) {
+    if (review.state == 'APPROVED' || review.state == 'CHANGES_REQUESTED') {
+      const login = review.user ? review.user.login : '';
+      latest.delete(login); // keeps the reviewers in order of their latest review
+      latest.set(login, review);
+    }
+  }
+
+  const decided = Array.from(latest.values());
+  const approval = decided.filter(x => x.state == 'APPROVED').pop();
+  const changes = decided.filter(x => x.state == 'CHANGES_REQUESTED').pop();
+  const reviewer = review => review && review.user ? review.user.login : undefined;
+
+  if (approval && !changes) {
+    return {outcome: 'approved', reviewer: reviewer(approval)};
+  }
+
+  if (pull.state == 'closed') {
+    return {outcome: 'not-approved', reviewer: reviewer(changes)};
+  }
+
+  if (changes) {
+    return {outcome: 'changes-requested', reviewer: reviewer(changes)};
+  }
+
+  return undefined;
+};
+
+/*
+ * Gets the outcome of a review pull request from the reviews of the configured
+ * reviewers. The person who closed the pull request is the reviewer if nobody
+ * requested changes.
+ */
+exports.getOutcome = async function(octokit, context, config, pull) {
+  // https://docs.github.com/en/rest/reference/pulls#list-reviews-for-a-pull-request
+  const reviews = await api.list(octokit, octokit.pulls.listReviews, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    pull_number: pull.number
+  });
+
+  const result = exports.decide(exports.byReviewers(reviews, config), pull);
+
+  if (result !== undefined && result.reviewer === undefined) {
+    result.reviewer = context.actor;
+  }
+
+  return result;
+};
+
+/*
+ * Labels the pull request with the outcome (replacing any earlier outcome) and
+ * locks it as resolved once the outcome is final, the same way approved
+ * functionality issues are locked. Returns false if the pull request already
+ * had this outcome.
+ */
+exports.label = async function(octokit, context, pull, outcome) {
+  const names = (pull.labels || []).map(x => x.name);
+
+  if (names.includes(exports.labels[outcome])) {
+    core.info(`Pull request #${pull.number} already labeled ${exports.labels[outcome]}.`);
+    return false;
+  }
+
+  const others = Object.values(exports.labels);
+  const labels = names.filter(x => !others.includes(x)).concat([exports.labels[outcome]]);
+
+  // https://docs.github.com/en/rest/reference/issues#update-an-issue
+  await octokit.issues.update({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    issue_number: pull.number,
+    labels: labels
+  });
+
+  core.info(`Labeled pull request #${pull.number}: ${labels.join(', ')}`);
+
+  if (outcome != 'changes-requested') {
+    // https://docs.github.com/en/rest/reference/issues#lock-an-issue
+    await octokit.issues.lock({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      issue_number: pull.number,
+      lock_reason: 'resolved'
+    });
+
+    core.info(`Locked pull request #${pull.number} as resolved.`);
+  }
+
+  return true;
+};
+
+/*
+ * Finalizes a project after an approved code review: creates the design issue
+ * linking every review pull request and release of the project, closes and
+ * locks it as resolved (which blocks later review requests), and closes the
+ * project milestone. Returns the design issue, or undefined if the project
+ * design was already approved or the approval was not by a configured reviewer.
+ */
+exports.finalize = async function(octokit, context, config, pull, result) {
+  const project = (pull.labels || []).map(x => x.name).find(x => /^project\d+$/.test(x)).replace('project', '');
+
+  // finalizing is permanent, so only an approval by a configured reviewer counts
+  const logins = reviewers.logins(config).map(x => x.toLowerCase());
+
+  if (result.outcome != 'approved' || !logins.includes(String(result.reviewer).toLowerCase())) {
+    core.info(`Project ${project} not finalized without an approval by a configured reviewer.`);
+    return undefined;
+  }
+  const approved = (await utils.getIssues(octokit, context, project, 'design')).find(utils.isApproved);
+
+  if (approved !== undefined) {
+    core.info(`Design issue #${approved.number} for project ${project} already approved.`);
+    return undefined;
+  }
+
+  const milestone = await utils.getMilestone(octokit, context, project, config);
+  const pulls = await utils.getPullRequests(octokit, context, project);
+
+  // https://docs.github.com/en/rest/reference/repos#list-releases
+  const releases = await api.list(octokit, octokit.repos.listReleases, {
+    owner: context.repo.owner,
+    repo: context.repo.repo
+  });
+
+  const rows = pulls.map(x => {
+    const names = x.labels.map(y => y.name);
+    const tag = names.find(y => config.regex.test(y)) || '';
+    const release = releases.find(y => y.tag_name == tag);
+    const outcome = names.find(y => Object.values(exports.labels).includes(y)) || x.state;
+    const type = names.find(y => y == 'synchronous' || y == 'asynchronous') || '';
+
+    return `| [#${x.number}](${x.html_url}) | ${release ? `[${tag}](${release.html_url})` : tag} | ${type} | ${x.number == pull.number ? result.outcome : outcome} |`;
+  });
+
+  const body = `
+## Project ${project} Design
+
+The code review in [pull request #${pull.number}](${pull.html_url}) was approved by @${result.reviewer}, which completes the design of project ${project} ${config.projects[project] ? config.projects[project].name : ''}. No more code reviews are necessary for this project.
+
+| Review | Release | Type | Outcome |
+|:-------|:--------|:-----|:--------|
+${rows.join('\n')}
+`;
+
+  // https://docs.github.com/en/rest/reference/issues#create-an-issue
+  const created = await octokit.issues.create({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    title: `Project ${project} Design`,
+    body: body.trim(),
+    labels: [`project${project}`, 'design'],
+    milestone: milestone.number
+  });
+
+  const issue = created.data;
+  core.info(`Created design issue #${issue.number} at: ${issue.html_url}`);
+
+  // https://docs.github.com/en/rest/reference/issues#update-an-issue
+  await octokit.issues.update({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    issue_number: issue.number,
+    state: 'closed'
+  });
+
+  // https://docs.github.com/en/rest/reference/issues#lock-an-issue
+  await octokit.issues.lock({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    issue_number: issue.number,
+    lock_reason: 'resolved'
+  });
+
+  core.info(`Closed and locked design issue #${issue.number} as resolved.`);
+
+  // https://docs.github.com/en/rest/reference/issues#update-a-milestone
+  await octokit.issues.updateMilestone({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    milestone_number: milestone.number,
+    state: 'closed'
+  });
+
+  core.info(`Closed ${milestone.title} milestone.`);
+  return issue;
+};
+
+/*
+ * Creates the grade export row for the review outcome. The student name and
+ * email come from the student information section of the pull request body,
+ * or else from the roster or earlier requests.
+ */
+exports.getRow = async function(octokit, context, config, pull, result, now) {
+  const names = (pull.labels || []).map(x => x.name);
+  const login = (pull.assignees || []).length > 0 ? pull.assignees[0].login : (pull.user ? pull.user.login : '');
+
+  let student = roster.parseBody(pull.body);
+
+  if (!student.name || !student.email) {
+    const found = await roster.findStudent(octokit, context, config, login);
+    student = {
+      name: student.name || found.name,
+      email: student.email || (found.user ? `${found.user}@usfca.edu` : '')
+    };
+  }
+
+  const project = names.find(x => /^project\d+$/.test(x));
+
+  return {
+    recorded: now.toISO(),
+    repository: `${context.repo.owner}/${context.repo.repo}`,
+    pull: pull.number,
+    url: pull.html_url,
+    login: login,
+    name: student.name,
+    email: student.email,
+    project: project ? project.replace('project', '') : '',
+    version: names.find(x => config.regex.test(x)) || '',
+    type: names.find(x => x == 'synchronous' || x == 'asynchronous') || '',
+    outcome: result.outcome,
+    reviewer: result.reviewer
+  };
+};
+
+/*
+ * Appends the row to the grade export file (relative to the workspace), which
+ * is either a CSV file or a JSON list. The workspace does not outlive the job,
+ * so the workflow must restore earlier rows before and upload the file after.
+ * Returns the path of the file.
+ */
+exports.exportRow = function(config, row) {
+  const workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+  const file = path.resolve(workspace, (config.grading && config.grading.file) || exports.defaultFile);
+  fs.mkdirSync(path.dirname(file), {recursive: true});
+
+  if (file.endsWith('.json')) {
+    const rows = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+    rows.push(row);
+    fs.writeFileSync(file, `${JSON.stringify(rows, null, 2)}\n`);
+  }
+  else {
+    const escape = text => /[",\n]/.test(String(text)) ? `"${String(text).replace(/"/g, '""')}"` : String(text);
+
+    if (!fs.existsSync(file)) {
+      fs.writeFileSync(file, `${exports.fields.join(',')}\n`);
+    }
+
+    fs.appendFileSync(file, `${exports.fields.map(x => escape(row[x])).join(',')}\n`);
+  }
+
+  core.info(`Recorded ${row.outcome} for ${row.login} in ${file}. Upload the grade-file output as an artifact to keep it.`);
+  return file;
+};
+
+/*
+ * Formats the recorded outcome (and the design issue if the project was
+ * finalized) as markdown for the job summary.
+ */
+exports.format = function(row, file, design) {
+  return `
+## Code Review Outcome
+
+| Student | Project | Version | Outcome | Reviewer |
+|:--------|:--------|:--------|:--------|:---------|
+| ${row.name || row.login} (${row.login}) | ${row.project} | ${row.version} | ${row.outcome} | ${row.reviewer} |
+
+Recorded in \`${path.basename(file)}\` for [pull request #${row.pull}](${row.url}).
+${design ? `\nProject ${row.project} finalized with approved [design issue #${design.number}](${design.html_url}).\n` : ''}`;
+};
@@ -0,0 +1,129 @@
+const core = require('@actions/core');
+const { DateTime } = require('luxon');
+const utils = require('./utils.js');
+const api = require('./api.js');
+const grading = require('./grading.js');
+
+// HISTORY OF PREVIOUS CODE REVIEWS
+
+/*
+ * Sorts labels with the project label first, then the release label, then the
+ * rest alphabetically.
+ */
+exports.sortLabels = function(names, config) {
+  const rank = name => /^project\d+$/.test(name) ? 0 : (config.regex.test(name) ? 1 : 2);
+  return names.slice().sort((x, y) => rank(x) - rank(y) || x.localeCompare(y));
+};
+
+/*
+ * Fetches the reviews, review comments, and timeline of a pull request at the
+ * same time.
+ */
+async function fetchActivity(octokit, context, pull) {
+  const owner = context.repo.owner;
+  const repo = context.repo.repo;
+
+  const [reviews, comments, timeline] = await Promise.all([
+    // https://docs.github.com/en/rest/reference/pulls#list-reviews-for-a-pull-request
+    api.list(octokit, octokit.pulls.listReviews, {owner: owner, repo: repo, pull_number: pull.number}),
+
+    // https://docs.github.com/en/rest/reference/pulls#list-review-comments-on-a-pull-request
+    api.list(octokit, octokit.pulls.listReviewComments, {owner: owner, repo: repo, pull_number: pull.number}),
+
+    // https://docs.github.com/en/rest/reference/issues#list-timeline-events-for-an-issue
+    api.list(octokit, octokit.issues.listEventsForTimeline, {owner: owner, repo: repo, issue_number: pull.number})
+  ]);
+
+  return {reviews: reviews, comments: comments, timeline: timeline};
+}
+
+/*
+ * Summarizes one previous review: its release, type, reviewers, outcome,
+ * number of requested changes and comments, and the business days from when
+ * it was ready for review until the first response and until it was closed.
+ */
+function summarize(pull, activity, config) {
+  const names = (pull.labels || []).map(x => x.name);
+  const student = (pull.assignees || []).length > 0 ? pull.assignees[0].login : (pull.user ? pull.user.login : '');
+  // responses from people other than the student, not from bots like this action
+  const byOthers = x => x.user && x.user.type != 'Bot' && x.user.login != student;
+
+  const reviews = activity.reviews.filter(byOthers);
+  const comments = activity.timeline.filter(x => x.event == 'commented' && byOthers(x));
+  const inline = activity.comments.filter(byOthers);
+
+  // ready for review when last marked ready, or when created if never a draft
+  const ready = activity.timeline.filter(x => x.event == 'ready_for_review').map(x => x.created_at).sort().pop() || pull.created_at;
+
+  const responses = reviews.map(x => x.submitted_at).concat(comments.concat(inline).map(x => x.created_at)).filter(x => x && x >= ready).sort();
+
+  const zone = config.zone;
+  const days = (from, to) => from && to ? utils.businessDays(DateTime.fromISO(from).setZone(zone), DateTime.fromISO(to).setZone(zone)) : null;
+  // only reviews by configured reviewers decide the outcome, like grading
+  const decisive = grading.byReviewers(activity.reviews, config);
+  const decided = grading.decide(decisive, pull);
+
+  return {
+    number: pull.number,
+    url: pull.html_url,
+    release: names.find(x => config.regex.test(x)) || '',
+    type: names.find(x => x == 'synchronous' || x == 'asynchronous') || '',
+    labels: exports.sortLabels(names, config),
+    status: pull.draft ? 'draft' : (pull.merged_at ? 'merged' : pull.state),
+    reviewers: Array.from(new Set(reviews.map(x => x.user.login))),
+    outcome: decided ? decided.outcome : 'pending',
+    changesRequested: decisive.filter(x => x.state == 'CHANGES_REQUESTED').length,
+    comments: comments.length + inline.length,
+    created: pull.created_at,
+    ready: ready,
+    firstResponse: responses.length > 0 ? responses[0] : null,
+    closed: pull.closed_at || null,
+    responseDays: days(ready, responses[0]),
+    closeDays: days(ready, pull.closed_at)
+  };
+}
+
+/*
+ * Gathers the history of the previous review pull requests, fetching the
+ * activity of every pull request concurrently. Returns the history in the
+ * same order as the pull requests.
+ */
+exports.gather = async function(octokit, context, pulls, config) {
+  core.info(`Fetching review history of ${pulls.length} pull requests...`);
+
+  const history = await Promise.all(pulls.map(async pull => {
+    const activity = await fetchActivity(octokit, context, pull);
+    return summarize(pull, activity, config);
+  }));
+
+  for (const entry of history) {
+    core.info(`Pull request #${entry.number} (${entry.release}): ${entry.outcome}, ${entry.changesRequested} changes requested, ${entry.comments} comments`);
+  }
+
+  return history;
+};
+
+/*
+ * Formats the history as a markdown table, or N/A if there is no history.
+ */
+exports.format = function(history, config) {
+  if (history.length < 1) {
+    return 'N/A';
+  }
+
+  const days = value => value === null ? 'N/A' : `${value} business day${value == 1 ? '' : 's'}`;
+  const date = value => DateTime.fromISO(value).setZone(config.zone).toLocaleString(DateTime.DATE_MED);
+
+  const rows = [
+    '| Pull | Release | Type | Status | Reviewers | Outcome | Changes Requested | Comments | First Response | Closed After | Created |',
+    '|:----:|:--------|:-----|:------:|:----------|:--------|:-----------------:|:--------:|:---------------|:-------------|:--------|'
+  ];
+
+  for (const entry of history) {
+    const reviewers = entry.reviewers.length > 0 ? entry.reviewers.join(', ') : 'N/A';
+    const closed = entry.closed ? days(entry.closeDays) : 'N/A';
+    rows.push(`| [#${entry.number}](${entry.url}) | ${entry.release} | ${entry.type} | ${entry.status} | ${reviewers} | ${entry.outcome} | ${entry.changesRequested} | ${entry.comments} | ${days(entry.responseDays)} | ${closed} | ${date(entry.created)} |`);
+  }
+
+  return rows.join('\n');
+};
@@ -2,43 +2,316 @@ const core = require('@actions/core');
 const github = require('@actions/github');
 const exec = require('@actions/exec');
 const utils = require('./utils.js');
+const api = require('./api.js');
+const config = require('./config.js');
+const transaction = require('./transaction.js');
+const diagnostics = require('./diagnostics.js');
+const roster = require('./roster.js');
+const reviewers = require('./reviewers.js');
+const compare = require('./compare.js');
+const checklist = require('./checklist.js');
+const build = require('./build.js');
+const errors = require('./errors.js');
+const verify = require('./verify.js');
+const reminders = require('./reminders.js');
+const grading = require('./grading.js');
+const templates = require('./templates.js');
+const history = require('./history.js');
+const cancel = require('./cancel.js');
+const version = require('./version.js');
 var { DateTime } = require('luxon');
 
+/*
+ * Outputs the pull request that would have been created in a dry run, both in
+ * the log and in the job summary.
+ */
+function showPreview(data, labels, milestone, reviewers) {
+  const details = {
+    Title: data.title,
+    Branch: `${data.head} into ${data.base}`,
+    Labels: labels.join(', '),
+    Milestone: milestone.number ? `${milestone.title} (#${milestone.number})` : `${milestone.title} (will be created)`,
+    Reviewers: reviewers.join(', '),
+    Assignees: github.context.actor
+  };
+
+  core.info('');
+
+  for (const key in details) {
+    core.info(`${key.padEnd(10)}: ${details[key]}`);
+  }
+
+  core.info('Body      :');
+  core.info(data.body);
+
+  const rows = Object.keys(details).map(key => `- **${key}:** ${details[key]}`);
+
+  utils.writeSummary(`
+## Code Review Preview (Dry Run)
+
+No branch or pull request was created. This is the draft pull request that would have been created:
+
+${rows.join('\n')}
+
+<details><summary>Pull request body</summary>
+
+\`\`\`\`markdown
+${data.body.trim()}
+\`\`\`\`
+
+</details>
+`);
+}
+
+/*
+ * Reminds reviewers and students about review requests that waited too long,
+ * for scheduled runs in reminders mode.
+ */
+async function sendReminders() {
+  const outputs = {}; // action outputs for later workflow steps
+
+  const token = core.getInput('token');
+  core.setSecret(token);
+
+  const octokit = api.getOctokit(token);
+
+  try {
+    utils.showTitle('Review Reminders Phase');
+
+    const settings = config.loadConfig();
+    const now = DateTime.now().setZone(settings.zone);
+
+    core.startGroup('Checking open review requests...');
+    core.info('');
+
+    const results = await reminders.remind(octokit, github.context, settings, now);
+
+    core.info('');
+    core.endGroup();
+
+    utils.writeSummary(reminders.format(results));
+
+    outputs['result'] = 'success';
+    outputs['reminders'] = results.filter(x => x.action == 'reminded').length;
+  }
+  catch (error) {
+    utils.showError(`${error.message}\n`); // show error in group
+    core.endGroup();  // end group
+
+    // displays outside of group; always visible
+    core.setFailed(`Review reminders failed. ${error.message}`);
+
+    outputs['result'] = 'failure';
+    outputs['failure-code'] = errors.getCode(error);
+  }
+  finally {
+    utils.setOutputs({}, outputs);
+    utils.checkWarnings('"Review Reminders"');
+  }
+}
+
+/*
+ * Records the outcome of a review pull request when it is reviewed or closed,
+ * for pull request events in grading mode.
+ */
+async function recordGrade() {
+  const outputs = {}; // action outputs for later workflow steps
+
+  const token = core.getInput('token');
+  core.setSecret(token);
+
+  const octokit = api.getOctokit(token);
+
+  try {
+    utils.showTitle('Review Grading Phase');
+
+    const settings = config.loadConfig();
+    const now = DateTime.now().setZone(settings.zone);
+    const pull = github.context.payload.pull_request;
+
+    if (pull === undefined) {
+      throw errors.create('invalid-mode', `Grading mode must run on pull_request or pull_request_review events, not ${github.context.eventName} events.`);
+    }
+
+    core.startGroup(`Checking pull request #${pull.number}...`);
+    core.info('');
+
+    // cancelled requests were never meant to be reviewed
+    const names = (pull.labels || []).map(x => x.name);
+    const graded = names.some(x => /^project\d+$/.test(x)) && !names.includes(cancel.label);
+    const result = graded ? await grading.getOutcome(octokit, github.context, settings, pull) : undefined;
+
+    if (result === undefined) {
+      core.info(`No review outcome to record for pull request #${pull.number}.`);
+      core.endGroup();
+
+      outputs['result'] = 'skipped';
+      return;
+    }
+
+    core.info(`Review outcome: ${result.outcome} by ${result.reviewer}`);
+    outputs['outcome'] = result.outcome;
+
+    const changed = await grading.label(octokit, github.context, pull, result.outcome);
+
+    core.info('');
+    core.endGroup();
+
+    if (!changed) {
+      outputs['result'] = 'skipped';
+      return;
+    }
+
+    core.startGroup('Recording grade...');
+    core.info('');
+
+    const row = await grading.getRow(octokit, github.context, settings, pull, result, now);
+    const file = grading.exportRow(settings, row);
+
+    core.info('');
+    core.endGroup();
+
+    outputs['grade-file'] = file;
+
+    // an approved review completes the project design
+    let design = undefined;
+
+    if (result.outcome == 'approved') {
+      core.startGroup(`Finalizing project ${row.project}...`);
+      core.info('');
+
+      design = await grading.finalize(octokit, github.context, settings, pull, result);
+
+      core.info('');
+      core.endGroup();
+
+      if (design !== undefined) {
+        outputs['design-issue'] = design.number;
+      }
+    }
+
+    utils.writeSummary(grading.format(row, file, design));
+    outputs['result'] = 'success';
+  }
+  catch (error) {
+    utils.showError(`${error.message}\n`); // show error in group
+    core.endGroup();  // end group
+
+    // displays outside of group; always visible
+    core.setFailed(`Review grading failed. ${error.message}`);
+
+    outputs['result'] = 'failure';
+    outputs['failure-code'] = errors.getCode(error);
+  }
+  finally {
+    utils.setOutputs({}, outputs);
+    utils.checkWarnings('"Review Grading"');
+  }
+}
+
+/*
+ * Cancels the open review request for the project of the release input by
+ * closing it and deleting its review branch, for cancel mode.
+ */
+async function cancelRequest() {
+  const outputs = {}; // action outputs for later workflow steps
+
+  const token = core.getInput('token');
+  core.setSecret(token);
+
+  const octokit = api.getOctokit(token);
+
+  try {
+    utils.showTitle('Review Cancel Phase');
+
+    const settings = config.loadConfig();
+    const project = version.parse(core.getInput('release'), settings).project;
+
+    core.startGroup(`Cancelling open request for project ${project}...`);
+    core.info('');
+
+    const reason = 'Request code review again when ready.';
+    const pull = await cancel.cancel(octokit, github.context, settings, project, reason);
+
+    core.info('');
+    core.endGroup();
+
+    const message = `Code review request #${pull.number} for project ${project} cancelled.`;
+    utils.showSuccess(message);
+    utils.writeSummary(`\n## Code Review Request Cancelled\n\n${message} Closed [pull request #${pull.number}](${pull.html_url}) and deleted its review branch.\n`);
+
+    outputs['result'] = 'success';
+    outputs['project'] = project;
+    outputs['cancelled'] = pull.number;
+  }
+  catch (error) {
+    utils.showError(`${error.message}\n`); // show error in group
+    core.endGroup();  // end group
+
+    // displays outside of group; always visible
+    core.setFailed(`Review cancel failed. ${error.message}`);
+
+    outputs['result'] = 'failure';
+    outputs['failure-code'] = errors.getCode(error);
+  }
+  finally {
+    utils.setOutputs({}, outputs);
+    utils.checkWarnings('"Review Cancel"');
+  }
+}
+
 async function run() {
+  // other modes do not request code review (the mode is checked in setup)
+  const mode = utils.checkMode();
+
+  if (mode == 'reminders') {
+    return sendReminders();
+  }
+
+  if (mode == 'grading') {
+    return recordGrade();
+  }
+
+  if (mode == 'cancel') {
+    return cancelRequest();
+  }
+
   const status = {}; // status of intermediate steps
   const states = {}; // things to remember between pre/main/post
+  const effects = transaction.create(); // side effects to undo on failure
+  let failure = undefined; // error message if the request failed
+  const outputs = {}; // action outputs for later workflow steps
 
   const token = core.getInput('token');
   core.setSecret(token);
 
-  const octokit = github.getOctokit(token);
+  const octokit = api.getOctokit(token);
 
   try {
     utils.showTitle('Request Setup Phase');
 
     // must do or setup state is lost
     utils.restoreStates(states);
+    checklist.restore();
 
-    // -----------------------------------------------
-    core.startGroup('Displaying environment setup...');
+    // load course settings
+    const settings = config.loadConfig();
+    const adapter = build.getAdapter(settings);
 
-    await utils.checkExec('java', {
-      param: ['--version'],
-      title: 'Displaying Java runtime version',
-      error: 'Unable to display Java runtime version'
-    });
+    // verify everything but skip creating the branch and pull request
+    const dryRun = utils.checkDryRun();
 
-    await utils.checkExec('javac', {
-      param: ['--version'],
-      title: 'Displaying Java compiler version',
-      error: 'Unable to display Java compiler version'
-    });
+    // -----------------------------------------------
+    core.startGroup('Displaying environment setup...');
 
-    await utils.checkExec('mvn', {
-      param: ['--version'],
-      title: 'Displaying Maven version',
-      error: 'Unable to display Maven version'
-    });
+    for (const [command, ...param] of adapter.versions) {
+      await utils.checkExec(command, {
+        param: param,
+        title: `Displaying ${command} version`,
+        error: `Unable to display ${command} version`,
+        code: 'environment-error'
+      });
+    }
 
     core.info('');
     core.endGroup();
@@ -49,18 +322,12 @@ async function run() {
     // -----------------------------------------------
     core.startGroup('Checking code for warnings...');
 
-    status.mainCompile = await utils.checkExec('mvn', {
-      param: ['-ntp', '"-DcompileOptionXlint=-Xlint:all"', '"-DcompileOptionXdoclint=-Xdoclint:all/private"', '-DcompileOptionFail=true', '-Dmaven.compiler.failOnWarning=true', '-Dmaven.compiler.showWarnings=true', 'clean', 'compile'],
-      title: 'Compiling project code',
-      error: 'Unable to compiling code without warnings. Please address all warnings before requesting code review',
-      chdir: `${utils.mainDir}/`
-    });
+    checklist.start('compile');
 
-    await utils.checkExec('ls', {
-      param: ['-m', `${utils.mainDir}/target/classes`],
-      title: 'Listing main class files',
-      error: 'Unable to list main class directory',
-    });
+    const compiled = await verify.compile(utils.mainDir, adapter);
+    status.mainCompile = 0;
+
+    checklist.pass('compile', {details: compiled.length > 0 ? `${compiled.length} warnings` : ''});
 
     core.info('');
     core.endGroup();
@@ -69,25 +336,8 @@ async function run() {
     // -----------------------------------------------
     core.startGroup('Checking code for cleanup...');
 
-    status.todoGrep = await utils.checkExec('grep', {
-      param: ['-rnoiE', '^\\s*[/*]{1,2}.*\\bTODO\\b', '.'],
-      title: 'Checking for 1 line TODO comments',
-      chdir: `${utils.mainDir}/src/main/java`
-    });
-
-    if (status.todoGrep != 1) {
-      throw new Error('One or more TODO comments found. Please clean up the code before requesting code review.');
-    }
-
-    status.mainGrep = await utils.checkExec('grep', {
-      param: ['-rnoiE', '--exclude=Driver.java', '\\s*public\\s+static\\s+void\\s+main\\s*\\(', '.'],
-      title: 'Checking for extra main methods',
-      chdir: `${utils.mainDir}/src/main/java`
-    });
-
-    if (status.mainGrep != 1) {
-      throw new Error('More than one main method found. Please clean up old main methods before requesting code review.');
-    }
+    const findings = verify.cleanup(utils.mainDir, adapter, settings, states.project);
+    status.cleanup = findings.length;
 
     core.info('');
     core.endGroup();
@@ -98,6 +348,8 @@ async function run() {
     // -----------------------------------------------
     core.startGroup('Creating code review branch...');
 
+    checklist.start('pull');
+
     status.branchCommit = await utils.checkExec('git', {
       param: ['commit', '--allow-empty', '-m', `"Creating ${states.branch} branch"`],
       title: 'Creating branch commit',
@@ -105,222 +357,237 @@ async function run() {
       chdir: `${utils.mainDir}/`
     });
 
-    status.branchPush = await utils.checkExec('git', {
-      param: ['push', '-u', 'origin', states.branch],
-      title: 'Pushing branch to remote',
-      error: `Unable to push ${states.branch} branch. Please make sure this branch does not already exist`,
-      chdir: `${utils.mainDir}/`
-    });
+    if (dryRun) {
+      if (states.resubmit) {
+        core.info(`\nSkipping cancel of pull request #${states.resubmit} for dry run.`);
+      }
+
+      core.info(`\nSkipping push of ${states.branch} branch for dry run.`);
+    }
+    else {
+      // every check passed, so cancel the request being resubmitted first (its branch may have the same name)
+      if (states.resubmit) {
+        core.info('');
+        const reason = `It was resubmitted for release ${states.version} (${states.type.toLowerCase()} code review).`;
+        const cancelled = await cancel.cancel(octokit, github.context, settings, states.project, reason);
+
+        // record cancelled request so a later failure explains it is gone
+        effects.cancelled = {number: cancelled.number, url: cancelled.html_url};
+        transaction.save(effects);
+        outputs['cancelled'] = cancelled.number;
+      }
+
+      status.branchPush = await utils.checkExec('git', {
+        param: ['push', '-u', 'origin', states.branch],
+        title: 'Pushing branch to remote',
+        error: `Unable to push ${states.branch} branch. Please make sure this branch does not already exist`,
+        code: 'push-failed',
+        chdir: `${utils.mainDir}/`
+      });
+
+      // record pushed branch so it can be deleted on failure
+      effects.branch = states.branch;
+      transaction.save(effects);
+    }
 
     core.info('');
     core.endGroup();
     // -----------------------------------------------
 
     // -----------------------------------------------
-    core.startGroup('Creating pull request...');
+    core.startGroup(dryRun ? 'Previewing pull request...' : 'Creating pull request...');
     core.info('');
 
-    const milestone = await utils.getMilestone(octokit, github.context, states.project);
+    const milestone = await utils.getMilestone(octokit, github.context, states.project, settings, !dryRun);
 
     core.info('');
     const pulls = await utils.getPullRequests(octokit, github.context, states.project);
-
-    let reviewList = 'N/A';
-    const zone = 'America/Los_Angeles';
+    outputs['previous-reviews'] = pulls.length;
 
     core.info('');
-    core.info('Creating pull request...');
-
-    if (pulls.length > 0) {
-      let rows = [
-        '| Pull | Status | Labels | Approvals | Created | Closed |',
-        '|:----:|:------:|:-------|:----------|:--------|:-------|'
-      ];
-
-      let sorter = function(x, y) {
-        // project first
-        if (x.name.startsWith('project')) {
-          return -1;
-        }
-
-        if (y.name.startsWith('project')) {
-          return 1;
-        }
-
-        // tag next
-        if (x.name.startsWith('v')) {
-          return -1;
-        }
+    const reviewHistory = await history.gather(octokit, github.context, pulls, settings);
+    const reviewList = history.format(reviewHistory, settings);
+    outputs['review-history'] = JSON.stringify(reviewHistory);
 
-        if (y.name.startsWith('v')) {
-          return 1;
-        }
-
-        // then whatever is left
-        if (x.name < y.name) {
-          return -1;
-        }
-
-        if (x.name > y.name) {
-          return -1;
-        }
-
-        return 0;
-      }
-
-      for (const pull of pulls) {
-        const status = pull.draft ? 'draft' : pull.state;
-        const labels = pull.labels ? pull.labels.sort(sorter).map(x => x.name).join(', ') : 'N/A';
-        const createdDate = pull.created_at ? DateTime.fromISO(pull.created_at).setZone(zone).toLocaleString(DateTime.DATETIME_FULL) : 'N/A';
-        const closedDate = pull.closed_at ? DateTime.fromISO(pull.closed_at).setZone(zone).toLocaleString(DateTime.DATETIME_FULL) : 'N/A';
-
-        // const reviewers = pull.requested_reviewers ? pull.requested_reviewers.map(x => `@${x.login}`).join(', ') : 'N/A';
-
-        // https://docs.github.com/en/rest/reference/pulls#list-reviews-for-a-pull-request
-        // https://octokit.github.io/rest.js/v18#pulls-list-reviews
-        const reviews = await octokit.pulls.listReviews({
-          owner: github.context.repo.owner,
-          repo: github.context.repo.repo,
-          pull_number: pull.number
-        });
+    core.info('');
+    let changes = compare.format(undefined);
 
-        const approved = reviews.data.filter(x => x.state == "APPROVED");
-        const approvals = approved.map(x => `${x.user.login}`).join(', ');
+    try {
+      const previous = await compare.findPrevious(octokit, github.context, pulls, states, settings);
 
-        rows.push(`| [#${pull.number}](${pull.html_url}) | ${status} | ${labels} | ${approvals} | ${createdDate} | ${closedDate} |`);
+      if (previous) {
+        const summary = await compare.summarize(utils.mainDir, previous.version, states.releaseTag, adapter.source);
+        const url = `https://github.com/${github.context.repo.owner}/${github.context.repo.repo}/compare/${previous.version}...${states.releaseTag}`;
+        changes = compare.format(previous, summary, url);
       }
-
-      reviewList = rows.join('\n');
+    }
+    catch (error) {
+      utils.showWarning(`Unable to compare with the previous code review (${error.message}).`);
+      changes = 'N/A (unable to compare with the previous code review)';
     }
 
-    const body = `
-## Student Information
-
-- **Full Name:** [FULL_NAME]
-- **USF Email:** [USF_EMAIL]@usfca.edu
-
-## Project Information
-
-- **Project:** [Project ${states.project} ${utils.projectNames[+states.project]}](https://usf-cs272-fall2021.github.io/guides/projects/project-${states.project}.html)
-- **Project Functionality:** [Issue #${states.issueNumber}](${states.issueUrl})
-
-## Release Information
-
-- **Release:** [${states.releaseTag}](${states.releaseUrl})
-- **Release Verified:** [Run ${states.runNumber} (${states.runId})](${states.runUrl})
-- **Release Created:** ${DateTime.fromISO(states.releaseDate).setZone(zone).toLocaleString(DateTime.DATETIME_FULL)}
-
-## Request Details
-
-- **Review Type:** ${states.type}
-
-#### Previous Pull Requests
+    core.info('');
+    const student = await roster.findStudent(octokit, github.context, settings, github.context.actor);
 
-${reviewList}
+    core.info('');
+    const courseToken = core.getInput('course-token');
+    const course = courseToken ? api.getOctokit(courseToken) : undefined;
+    const assigned = (await reviewers.assign(octokit, github.context, settings, states.type, course)).map(x => x.login);
+
+    // every saved state is available to the body and instructions templates
+    const values = Object.assign({}, states, {
+      course: settings.course,
+      actor: github.context.actor,
+      typeLower: states.type.toLowerCase(),
+      projectName: settings.projects[states.project].name,
+      projectGuide: settings.projects[states.project].guide,
+      studentName: student.name || roster.namePlaceholder,
+      studentEmail: `${student.user || roster.emailPlaceholder}@usfca.edu`,
+      studentFound: Boolean(student.name && student.user),
+      releaseCreated: DateTime.fromISO(states.releaseDate).setZone(settings.zone).toLocaleString(DateTime.DATETIME_FULL),
+      changes: changes,
+      previousPulls: reviewList,
+      previousCount: pulls.length,
+      reviewers: assigned.map(x => `@${x}`).join(', '),
+      replyDays: reminders.getSettings(settings).review
+    });
 
-    `;
+    core.info('');
+    const body = templates.fill(settings, 'body', states.project, states.type, values);
+    const comment = templates.fill(settings, 'comment', states.project, states.type, values);
 
     const data = {
       owner: github.context.repo.owner,
       repo: github.context.repo.repo,
       title: `Project ${states.releaseTag} ${states.type} Code Review`,
       head: states.branch,
-      base: 'main',
+      base: settings.branches.main,
       body: body,
       draft: true,
       maintainer_can_modify: true
     };
 
-    const pullRequest = await octokit.pulls.create(data);
+    const labels = [`project${states.project}`, states.type.toLowerCase(), states.releaseTag];
 
-    if (pullRequest.status != 201) {
-      core.info(`Request: ${JSON.stringify(data)}`);
-      core.info(`Result: ${JSON.stringify(pullRequest)}`);
-      throw new Error(`Unable to create pull request for: ${github.context.repo.repo}`);
-    }
+    if (dryRun) {
+      showPreview(data, labels, milestone, assigned);
 
-    core.info(`Pull request created at: ${pullRequest.data.html_url}`);
+      core.info('');
+      core.endGroup();
 
-    core.info('');
-    core.info(`Updating pull request ${pullRequest.data.number}...`);
+      const preview = `Dry run complete. Release ${states.releaseTag} qualifies for a project ${states.project} ${states.type.toLowerCase()} code review. No branch or pull request was created.`;
 
-    // https://docs.github.com/en/rest/reference/issues#update-an-issue
-    const update = {
-      owner: github.context.repo.owner,
-      repo: github.context.repo.repo,
-      issue_number: pullRequest.data.number,
-      milestone: milestone.number,
-      labels: [`project${states.project}`, states.type.toLowerCase(), states.releaseTag],
-      assignees: [github.context.actor]
-    };
+      utils.showSuccess(preview);
+      core.notice(preview);
 
-    const updateRequest = await octokit.issues.update(update);
-
-    if (updateRequest.status != 200) {
-      core.info(`Request: ${JSON.stringify(update)}`);
-      core.info(`Result: ${JSON.stringify(updateRequest)}`);
-      throw new Error(`Unable to update labels for pull request at: ${pullRequest.data.html_url}`);
+      checklist.skip('pull', {details: 'Dry run. No branch or pull request was created.'});
+      outputs['result'] = 'dry-run';
+      return;
     }
 
-    core.info(`Added labels: ${update.labels.join(', ')}`);
-
-    // add reviewers to pull request
-    const reviewers = {
-      owner: github.context.repo.owner,
-      repo: github.context.repo.repo,
-      pull_number: pullRequest.data.number,
-      reviewers: ['mtquach2', 'ybsolomon']
-    };
-
-    const reviewRequest = await octokit.pulls.requestReviewers(reviewers);
+    const pullRequest = await octokit.pulls.create(data);
 
-    if (reviewRequest.status != 201) {
-      core.info(`Request: ${JSON.stringify(reviewers)}`);
-      core.info(`Result: ${JSON.stringify(reviewRequest)}`);
-      throw new Error(`Unable to request reviewers for pull request at: ${pullRequest.data.html_url}`);
+    if (pullRequest.status != 201) {
+      core.info(`Request: ${JSON.stringify(data)}`);
+      core.info(`Result: ${JSON.stringify(pullRequest)}`);
+      throw errors.create('pull-request-failed', `Unable to create pull request for: ${github.context.repo.repo}`);
     }
 
-    core.info(`Added reviewers: ${reviewers.reviewers.join(', ')}`);
-
-    // add instructions as a comment
-    const comment = `
-## Student Instructions
+    core.info(`Pull request created at: ${pullRequest.data.html_url}`);
 
-Hello @${github.context.actor}! Please follow these instructions to request your project ${states.releaseTag} ${states.type.toLowerCase()} code review:
+    // record pull request so it can be rolled back on failure
+    effects.pull = {number: pullRequest.data.number, url: pullRequest.data.html_url};
+    transaction.save(effects);
 
-- [ ] Replace \`[FULL_NAME]\` with your full name and \`[USF_EMAIL]\` with your USF username so we can enter your grade on Canvas.
+    // remaining steps are resumed once if any of them fail
+    await transaction.finish(effects, {
+      labels: async function() {
+        core.info('');
+        core.info(`Updating pull request ${pullRequest.data.number}...`);
 
-- [ ] Double-check the [labels, assignee, and milestone](https://guides.github.com/features/issues/) are set properly.
+        // https://docs.github.com/en/rest/reference/issues#update-an-issue
+        const update = {
+          owner: github.context.repo.owner,
+          repo: github.context.repo.repo,
+          issue_number: pullRequest.data.number,
+          milestone: milestone.number,
+          labels: labels,
+          assignees: [github.context.actor]
+        };
+
+        const updateRequest = await octokit.issues.update(update);
+
+        if (updateRequest.status != 200) {
+          core.info(`Request: ${JSON.stringify(update)}`);
+          core.info(`Result: ${JSON.stringify(updateRequest)}`);
+          throw errors.create('pull-request-failed', `Unable to update labels for pull request at: ${pullRequest.data.html_url}`);
+        }
 
-- [ ] Double-check you are making the correct type of request. You can only request an asynchronous code review if you were pre-approved by the instructor!
+        core.info(`Added labels: ${update.labels.join(', ')}`);
+      },
 
-- [ ] **Mark this request as "Ready to Review" when all of the above is complete.**
+      reviewers: async function() {
+        // add reviewers to pull request
+        const reviewers = {
+          owner: github.context.repo.owner,
+          repo: github.context.repo.repo,
+          pull_number: pullRequest.data.number,
+          reviewers: assigned
+        };
 
-Click each of the above tasks as you complete them!
+        const reviewRequest = await octokit.pulls.requestReviewers(reviewers);
 
-We will reply with further instructions. If we do not respond within 2 *business* days, please reach out on CampusWire.
+        if (reviewRequest.status != 201) {
+          core.info(`Request: ${JSON.stringify(reviewers)}`);
+          core.info(`Result: ${JSON.stringify(reviewRequest)}`);
+          throw errors.create('pull-request-failed', `Unable to request reviewers for pull request at: ${pullRequest.data.html_url}`);
+        }
 
-:warning: **We will not see this request while it is in draft mode. You must mark it as ready to review first!**
-    `;
+        core.info(`Added reviewers: ${reviewers.reviewers.join(', ')}`);
+      },
 
-    const commentRequest = await octokit.issues.createComment({
-      owner: github.context.repo.owner,
-      repo: github.context.repo.repo,
-      issue_number: pullRequest.data.number,
-      body: comment
-    });
+      comment: async function() {
+        const commentRequest = await octokit.issues.createComment({
+          owner: github.context.repo.owner,
+          repo: github.context.repo.repo,
+          issue_number: pullRequest.data.number,
+          body: comment
+        });
 
-    if (commentRequest.status != 201) {
-      core.info(`Result: ${JSON.stringify(commentRequest)}`);
-      throw new Error(`Unable to add comment for pull request at: ${pullRequest.data.html_url}`);
-    }
+        if (commentRequest.status != 201) {
+          core.info(`Result: ${JSON.stringify(commentRequest)}`);
+          throw errors.create('pull-request-failed', `Unable to add comment for pull request at: ${pullRequest.data.html_url}`);
+        }
 
-    core.info(`Added instructions for: ${github.context.actor}`);
+        core.info(`Added instructions for: ${github.context.actor}`);
+      }
+    });
 
     core.info('');
     core.endGroup();
     // -----------------------------------------------
 
+    effects.complete = true;
+    transaction.save(effects);
+    checklist.pass('pull', {details: `Pull request #${pullRequest.data.number}`, link: pullRequest.data.html_url});
+
+    outputs['pull-number'] = pullRequest.data.number;
+    outputs['pull-url'] = pullRequest.data.html_url;
+    outputs['result'] = 'success';
+
+    // optionally point out non-fatal warnings on the new pull request
+    if (utils.checkBoolean('review-comments')) {
+      const warnings = compiled.concat(findings.map(x => Object.assign({category: x.rule}, x)));
+
+      try {
+        await diagnostics.addReviewComments(octokit, github.context, pullRequest.data.number, warnings);
+      }
+      catch (error) {
+        // the request itself was still created successfully
+        utils.showWarning(`Unable to add review comments (${error.message}).`);
+      }
+    }
+
     const success = `${states.type} code review request #${pullRequest.data.number} for project ${states.project} release ${states.releaseTag} created. Visit the pull request for further instructions at: ${pullRequest.data.html_url}`;
 
     utils.showSuccess(success);
@@ -332,6 +599,15 @@ We will reply with further instructions. If we do not respond within 2 *business
 
     // displays outside of group; always visible
     core.setFailed(`Code review request failed. ${error.message}`);
+
+    // undo any partially created branch or pull request
+    await transaction.rollback(octokit, github.context, effects, error.message);
+
+    checklist.failPending(error.message);
+    failure = error.message;
+
+    outputs['result'] = 'failure';
+    outputs['failure-code'] = errors.getCode(error);
   }
   finally {
     core.startGroup('Logging setup status...');
@@ -339,8 +615,16 @@ We will reply with further instructions. If we do not respond within 2 *business
     core.info(`states: ${JSON.stringify(states)}`);
     core.endGroup();
 
+    utils.writeSummary(checklist.format('Code Review Request Checklist', failure));
+
+    utils.setOutputs(states, outputs);
     utils.checkWarnings('"Request Review"');
   }
 }
 
-run();
+exports.run = run;
+
+// only run when executed by the action runner (not when required by tests)
+if (require.main === module) {
+  run();
+}
@@ -0,0 +1,197 @@
+const core = require('@actions/core');
+const { DateTime } = require('luxon');
+const utils = require('./utils.js');
+const api = require('./api.js');
+const reviewers = require('./reviewers.js');
+
+// REMINDERS FOR REVIEW REQUESTS WAITING TOO LONG
+
+/*
+ * Default reminder settings: the business days a ready request may wait for
+ * a review before the reviewers are reminded, the business days a request
+ * may stay a draft before the student is reminded, and the holidays (as
+ * yyyy-mm-dd dates) that are not business days.
+ */
+exports.defaults = {
+  review: 2,
+  draft: 5,
+  holidays: []
+};
+
+// hidden markers so each reminder is only posted once per pull request
+const markers = {
+  review: '<!-- request-review: review reminder -->',
+  draft: '<!-- request-review: draft reminder -->'
+};
+
+// yaml parses unquoted dates as Date objects
+function toISODate(value) {
+  return value instanceof Date ? value.toISOString().substring(0, 10) : String(value);
+}
+
+/*
+ * Gets the reminder settings from the reminders section of the course
+ * configuration.
+ */
+exports.getSettings = function(config) {
+  const settings = Object.assign({}, exports.defaults, config.reminders);
+  settings.holidays = settings.holidays.map(toISODate);
+  return settings;
+};
+
+/*
+ * Checks the reminders section of the course configuration, returning a list
+ * of problems found.
+ */
+exports.validate = function(settings) {
+  const problems = [];
+
+  if (settings === undefined) {
+    return problems;
+  }
+
+  if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['"reminders" must be an object'];
+  }
+
+  for (const key of ['review', 'draft']) {
+    if (key in settings && !(Number.isInteger(settings[key]) && settings[key] > 0)) {
+      problems.push(`"reminders.${key}" must be a positive whole number of business days`);
+    }
+  }
+
+  if ('holidays' in settings) {
+    const valid = Array.isArray(settings.holidays) && settings.holidays.every(x => DateTime.fromISO(toISODate(x)).isValid);
+
+    if (!valid) {
+      problems.push('"reminders.holidays" must be a list of yyyy-mm-dd dates');
+    }
+  }
+
+  return problems;
+};
+
+/*
+ * Finds when a pull request was last marked ready for review, which is when
+ * it was created if it never was a draft.
+ */
+exports.findReady = async function(octokit, context, pull) {
+  // https://docs.github.com/en/rest/reference/issues#list-issue-events
+  const events = await api.list(octokit, octokit.issues.listEvents, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    issue_number: pull.number
+  });
+
+  const ready = events.filter(x => x.event == 'ready_for_review').map(x => x.created_at).sort();
+  return ready.length > 0 ? ready[ready.length - 1] : pull.created_at;
+};
+
+/*
+ * Checks every open review pull request and posts a reminder to the assigned
+ * reviewers of requests ready for review that waited longer than the review
+ * deadline without a review, and to the student of requests still in draft
+ * after the draft deadline. Each reminder is only posted once. Returns the
+ * status of every open request.
+ */
+exports.remind = async function(octokit, context, config, now) {
+  const settings = exports.getSettings(config);
+  const holidays = settings.holidays;
+
+  core.info(`Reminding reviewers after ${settings.review} and students after ${settings.draft} business days.`);
+  core.info(`Holidays: ${holidays.length > 0 ? holidays.join(', ') : 'none'}`);
+
+  const pulls = (await utils.getPullRequests(octokit, context)).filter(x => x.state == 'open');
+  const results = [];
+
+  for (const pull of pulls) {
+    const kind = pull.draft ? 'draft' : 'review';
+    const since = pull.draft ? pull.created_at : await exports.findReady(octokit, context, pull);
+    const waited = utils.businessDays(DateTime.fromISO(since).setZone(config.zone), now, holidays);
+
+    const result = {number: pull.number, url: pull.html_url, kind: kind, waited: waited, limit: settings[kind], action: 'waiting'};
+    results.push(result);
+
+    core.info(`Pull request #${pull.number} (${kind}) waited ${waited} of ${settings[kind]} business days.`);
+
+    if (waited <= settings[kind]) {
+      continue;
+    }
+
+    if (kind == 'review') {
+      // https://docs.github.com/en/rest/reference/pulls#list-reviews-for-a-pull-request
+      const reviews = await api.list(octokit, octokit.pulls.listReviews, {
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        pull_number: pull.number
+      });
+
+      // only reviewers count, not the student or the review comments of this action
+      const requested = (pull.requested_reviewers || []).map(x => x.login);
+      const logins = reviewers.logins(config).concat(requested).map(x => x.toLowerCase());
+      const reviewed = reviews.filter(x => x.user && x.user.type != 'Bot' && logins.includes(x.user.login.toLowerCase()));
+
+      if (reviewed.length > 0) {
+        result.action = 'reviewed';
+        continue;
+      }
+    }
+
+    // https://docs.github.com/en/rest/reference/issues#list-issue-comments
+    const comments = await api.list(octokit, octokit.issues.listComments, {
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      issue_number: pull.number
+    });
+
+    if (comments.some(x => x.body && x.body.includes(markers[kind]))) {
+      core.info(`Already reminded about pull request #${pull.number}.`);
+      result.action = 'already reminded';
+      continue;
+    }
+
+    let mentions = [];
+    let body = '';
+
+    if (kind == 'review') {
+      const requested = (pull.requested_reviewers || []).map(x => x.login);
+      mentions = requested.length > 0 ? requested : reviewers.logins(config);
+      body = `This code review request has been ready for review for ${waited} business days, which is longer than the ${settings.review} business days we aim to reply within. Please review it or reply with an update.`;
+    }
+    else {
+      mentions = (pull.assignees || []).map(x => x.login);
+      body = `This code review request is still a draft after ${waited} business days. Please follow the instructions above to mark it ready for review, or close it if you no longer need this code review.`;
+    }
+
+    // https://docs.github.com/en/rest/reference/issues#create-an-issue-comment
+    await octokit.issues.createComment({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      issue_number: pull.number,
+      body: `${mentions.map(x => `@${x}`).join(' ')} ${body}\n\n${markers[kind]}`.trim()
+    });
+
+    core.info(`Reminded ${mentions.join(', ')} about pull request #${pull.number}.`);
+    result.action = 'reminded';
+    result.mentions = mentions;
+  }
+
+  return results;
+};
+
+/*
+ * Formats the status of every open request as markdown for the job summary.
+ */
+exports.format = function(results) {
+  const rows = results.map(x => `| [#${x.number}](${x.url}) | ${x.kind == 'draft' ? 'Draft' : 'Ready for review'} | ${x.waited} of ${x.limit} | ${x.action}${x.mentions ? ` (${x.mentions.map(y => `@${y}`).join(', ')})` : ''} |`);
+
+  return `
+## Code Review Reminders
+
+${results.filter(x => x.action == 'reminded').length} reminders posted for ${results.length} open review requests.
+
+| Request | Status | Business Days | Action |
+|:--------|:-------|:--------------|:-------|
+${rows.join('\n')}
+`;
+};
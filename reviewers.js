@@ -0,0 +1,266 @@
+const core = require('@actions/core');
+const { DateTime } = require('luxon');
+const utils = require('./utils.js');
+const api = require('./api.js');
+
+// REVIEWER ASSIGNMENT
+
+const types = ['synchronous', 'asynchronous'];
+
+/*
+ * Gets the reviewer pool from the course configuration. Reviewers are either
+ * Github usernames or objects with a login and optional capacity (maximum open
+ * reviews), review types, and away date ranges.
+ */
+exports.getPool = function(config) {
+  return config.reviewers.map(reviewer => {
+    const entry = typeof reviewer === 'string' ? {login: reviewer} : reviewer;
+
+    return {
+      login: entry.login,
+      capacity: entry.capacity === undefined ? Infinity : entry.capacity,
+      types: entry.types === undefined ? types : entry.types.map(x => x.toLowerCase()),
+      away: entry.away || []
+    };
+  });
+};
+
+/*
+ * Gets just the usernames of every reviewer in the pool.
+ */
+exports.logins = function(config) {
+  return exports.getPool(config).map(x => x.login);
+};
+
+/*
+ * Checks the reviewers and assignment sections of the course configuration,
+ * returning a list of problems found.
+ */
+exports.validate = function(reviewers, assignment) {
+  const problems = [];
+
+  if (!Array.isArray(reviewers) || reviewers.length < 1) {
+    return ['"reviewers" must be a non-empty list of Github usernames or reviewer settings'];
+  }
+
+  reviewers.forEach((reviewer, i) => {
+    const key = `reviewers.${i}`;
+
+    if (typeof reviewer === 'string' && reviewer) {
+      return;
+    }
+
+    if (reviewer === null || typeof reviewer !== 'object' || typeof reviewer.login !== 'string' || !reviewer.login) {
+      problems.push(`"${key}" must be a Github username or an object with a "login" entry`);
+      return;
+    }
+
+    if ('capacity' in reviewer && !(Number.isInteger(reviewer.capacity) && reviewer.capacity >= 0)) {
+      problems.push(`"${key}.capacity" must be a number of open reviews`);
+    }
+
+    if ('types' in reviewer && (!Array.isArray(reviewer.types) || !reviewer.types.every(x => typeof x === 'string' && types.includes(x.toLowerCase())))) {
+      problems.push(`"${key}.types" must be a list of review types (${types.join(', ')})`);
+    }
+
+    if ('away' in reviewer) {
+      const valid = Array.isArray(reviewer.away) && reviewer.away.every(x =>
+        x !== null && typeof x === 'object' && [x.from, x.to].every(date => typeof date === 'string' && DateTime.fromISO(date).isValid));
+
+      if (!valid) {
+        problems.push(`"${key}.away" must be a list of date ranges with "from" and "to" ISO dates`);
+      }
+    }
+  });
+
+  if (assignment !== undefined) {
+    if (assignment === null || typeof assignment !== 'object') {
+      problems.push('"assignment" must be an object with "count" and "continuity" entries');
+    }
+    else {
+      if ('count' in assignment && !(Number.isInteger(assignment.count) && assignment.count > 0)) {
+        problems.push('"assignment.count" must be a positive number of reviewers');
+      }
+
+      if ('continuity' in assignment && typeof assignment.continuity !== 'boolean') {
+        problems.push('"assignment.continuity" must be true or false');
+      }
+    }
+  }
+
+  return problems;
+};
+
+/*
+ * Finds the away date range (inclusive, in the course time zone) that a
+ * reviewer is currently in, if any.
+ */
+function findAway(reviewer, now, zone) {
+  return reviewer.away.find(range =>
+    DateTime.fromISO(range.from, {zone: zone}).startOf('day') <= now &&
+    DateTime.fromISO(range.to, {zone: zone}).endOf('day') >= now);
+}
+
+/*
+ * Counts the open pull requests across the course (every repository of the
+ * owner) that are waiting on a review from the reviewer. Returns undefined if
+ * the count is not available.
+ */
+exports.countOpen = async function(octokit, context, login) {
+  try {
+    // https://docs.github.com/en/rest/reference/search#search-issues-and-pull-requests
+    const result = await octokit.search.issuesAndPullRequests({
+      q: `is:pr is:open archived:false org:${context.repo.owner} review-requested:${login}`,
+      per_page: 1
+    });
+
+    if (result.status != 200) {
+      throw new Error(`status ${result.status}`);
+    }
+
+    return result.data.total_count;
+  }
+  catch (error) {
+    utils.showWarning(`Unable to count open reviews for ${login} (${error.message}).`);
+    return undefined;
+  }
+};
+
+/*
+ * Counts how many of the student's earlier review pull requests each reviewer
+ * reviewed.
+ */
+exports.countPrevious = async function(octokit, context) {
+  const counts = new Map();
+  const pulls = await utils.getPullRequests(octokit, context);
+
+  for (const pull of pulls) {
+    // https://docs.github.com/en/rest/reference/pulls#list-reviews-for-a-pull-request
+    const reviews = await api.list(octokit, octokit.pulls.listReviews, {
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      pull_number: pull.number
+    });
+
+    const logins = new Set(reviews.filter(x => x.user).map(x => x.user.login.toLowerCase()));
+
+    for (const login of logins) {
+      counts.set(login, (counts.get(login) || 0) + 1);
+    }
+  }
+
+  return counts;
+};
+
+/*
+ * Chooses the reviewers for a review request of the given type. Reviewers of
+ * the wrong type, away, or at capacity are skipped unless that would leave no
+ * reviewers at all. The rest are ordered by how many of the student's earlier
+ * reviews they did (for continuity), then by their open reviews, then by their
+ * order in the pool. Open reviews are counted with the course client, which
+ * must be able to read every repository of the course; otherwise only the
+ * repositories the octokit client can read are counted. Logs and returns the
+ * chosen logins with the reason each.
+ */
+exports.assign = async function(octokit, context, config, type, course) {
+  const assignment = config.assignment || {};
+  const pool = exports.getPool(config);
+  const count = assignment.count || pool.length;
+  const now = DateTime.now().setZone(config.zone);
+
+  core.info(`Choosing ${count} of ${pool.length} reviewers for a ${type.toLowerCase()} code review...`);
+
+  // the action token (like GITHUB_TOKEN) usually only reads this repository
+  const balanced = count < pool.length || pool.some(x => x.capacity !== Infinity);
+
+  if (course === undefined && balanced) {
+    utils.showWarning('Open reviews are only counted in the repositories the token can read. Set the course-token input to a token that can read every course repository to balance reviews across the course.');
+  }
+
+  // narrows down candidates without ever leaving none
+  const narrow = function(candidates, keep, problem) {
+    const kept = candidates.filter(keep);
+
+    if (kept.length < 1) {
+      utils.showWarning(`Every remaining reviewer is ${problem}. Ignoring that to request a review anyway.`);
+      return candidates;
+    }
+
+    return kept;
+  };
+
+  let candidates = narrow(pool, reviewer => {
+    const matches = reviewer.types.includes(type.toLowerCase());
+
+    if (!matches) {
+      core.info(`Skipping ${reviewer.login}: does not do ${type.toLowerCase()} code reviews.`);
+    }
+
+    return matches;
+  }, `unavailable for ${type.toLowerCase()} code reviews`);
+
+  candidates = narrow(candidates, reviewer => {
+    const away = findAway(reviewer, now, config.zone);
+
+    if (away) {
+      core.info(`Skipping ${reviewer.login}: away from ${away.from} to ${away.to}.`);
+    }
+
+    return !away;
+  }, 'away');
+
+  for (const reviewer of candidates) {
+    reviewer.open = await exports.countOpen(course || octokit, context, reviewer.login);
+    core.info(`Reviewer ${reviewer.login} has ${reviewer.open === undefined ? 'an unknown number of' : reviewer.open} open reviews (capacity ${reviewer.capacity}).`);
+  }
+
+  candidates = narrow(candidates, reviewer => {
+    const full = reviewer.open !== undefined && reviewer.open >= reviewer.capacity;
+
+    if (full) {
+      core.info(`Skipping ${reviewer.login}: at capacity with ${reviewer.open} of ${reviewer.capacity} open reviews.`);
+    }
+
+    return !full;
+  }, 'at capacity');
+
+  let previous = new Map();
+
+  if (assignment.continuity !== false) {
+    try {
+      previous = await exports.countPrevious(octokit, context);
+    }
+    catch (error) {
+      utils.showWarning(`Unable to find earlier reviewers (${error.message}).`);
+    }
+  }
+
+  for (const reviewer of candidates) {
+    reviewer.previous = previous.get(reviewer.login.toLowerCase()) || 0;
+  }
+
+  const order = pool.map(x => x.login);
+
+  const sorted = candidates.slice().sort((x, y) =>
+    (y.previous - x.previous) ||
+    ((x.open || 0) - (y.open || 0)) ||
+    (order.indexOf(x.login) - order.indexOf(y.login)));
+
+  const chosen = sorted.slice(0, count).map(reviewer => {
+    const reasons = [];
+
+    if (reviewer.previous > 0) {
+      reasons.push(`reviewed ${reviewer.previous} earlier requests by this student`);
+    }
+
+    reasons.push(reviewer.open === undefined ? 'open reviews unknown' : `${reviewer.open} open reviews`);
+
+    return {login: reviewer.login, reason: reasons.join(', ')};
+  });
+
+  for (const reviewer of chosen) {
+    core.info(`Chose ${reviewer.login}: ${reviewer.reason}.`);
+  }
+
+  return chosen;
+};
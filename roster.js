@@ -0,0 +1,194 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const utils = require('./utils.js');
+
+// STUDENT NAME AND EMAIL LOOKUP
+
+exports.namePlaceholder = '[FULL_NAME]';
+exports.emailPlaceholder = '[USF_EMAIL]';
+
+/*
+ * Splits one line of CSV into fields, handling quoted fields with commas and
+ * escaped quotes.
+ */
+function splitCsv(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+
+    if (quoted && c === '"' && line[i + 1] === '"') {
+      field += '"';
+      i++;
+    }
+    else if (c === '"') {
+      quoted = !quoted;
+    }
+    else if (c === ',' && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    }
+    else {
+      field += c;
+    }
+  }
+
+  fields.push(field.trim());
+  return fields;
+}
+
+/*
+ * Gets the username part of an email address (or the value itself if it is
+ * already just a username).
+ */
+exports.emailUser = function(email) {
+  return email ? email.trim().split('@')[0] : '';
+};
+
+/*
+ * Parses a roster as either JSON or CSV text. JSON rosters are either a list
+ * of objects or an object keyed by login. CSV rosters must have a header row
+ * with login, name, and email columns. Returns a map from lowercase Github
+ * login to the student name and email.
+ */
+exports.parseRoster = function(text) {
+  const roster = new Map();
+  const trimmed = text.trim();
+
+  let entries = [];
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const parsed = JSON.parse(trimmed);
+
+    entries = Array.isArray(parsed) ? parsed :
+      Object.keys(parsed).map(login => Object.assign({login: login}, parsed[login]));
+  }
+  else {
+    const lines = trimmed.split(/\r?\n/).filter(x => x.trim());
+    const header = splitCsv(lines.shift() || '').map(x => x.toLowerCase());
+
+    for (const column of ['login', 'name', 'email']) {
+      if (!header.includes(column)) {
+        throw new Error(`Roster is missing the "${column}" column`);
+      }
+    }
+
+    entries = lines.map(line => {
+      const fields = splitCsv(line);
+      return Object.fromEntries(header.map((column, i) => [column, fields[i]]));
+    });
+  }
+
+  for (const entry of entries) {
+    if (entry && entry.login) {
+      roster.set(String(entry.login).toLowerCase(), {name: entry.name || '', email: entry.email || ''});
+    }
+  }
+
+  return roster;
+};
+
+/*
+ * Reads the roster text from the roster input (a path to a file in the
+ * action directory or the CSV or JSON text itself, e.g. from a secret) or from the
+ * roster repository and path in the course configuration. Returns undefined
+ * if no roster is configured.
+ */
+async function readRoster(octokit, config) {
+  const input = core.getInput('roster');
+
+  if (input) {
+    const file = input.includes('\n') ? undefined : utils.resolveFile(input);
+
+    if (file && fs.existsSync(file)) {
+      core.info(`Using roster file: ${input}`);
+      return fs.readFileSync(file, 'utf8');
+    }
+
+    core.info('Using inline roster.');
+    return input;
+  }
+
+  if (config.roster) {
+    const [owner, repo] = config.roster.repository.split('/');
+    core.info(`Using roster ${config.roster.path} from ${config.roster.repository}...`);
+
+    // https://docs.github.com/en/rest/reference/repos#get-repository-content
+    const result = await octokit.repos.getContent({
+      owner: owner,
+      repo: repo,
+      path: config.roster.path
+    });
+
+    return Buffer.from(result.data.content, result.data.encoding || 'base64').toString('utf8');
+  }
+
+  return undefined;
+}
+
+/*
+ * Finds the student information in the body of a previous review request, if
+ * the student filled it in.
+ */
+exports.parseBody = function(body) {
+  const name = (body || '').match(/^- \*\*Full Name:\*\* (.+)$/m);
+  const email = (body || '').match(/^- \*\*USF Email:\*\* (.+)$/m);
+
+  const student = {name: '', email: ''};
+
+  if (name && !name[1].includes(exports.namePlaceholder)) {
+    student.name = name[1].trim();
+  }
+
+  if (email && !email[1].includes(exports.emailPlaceholder)) {
+    student.email = email[1].trim();
+  }
+
+  return student;
+};
+
+/*
+ * Looks up the name and email of a student, first in the roster (if any) and
+ * then in the student's most recent previous review request. Returns the name,
+ * email username, and where they were found. Missing values are empty.
+ */
+exports.findStudent = async function(octokit, context, config, login) {
+  core.info(`Looking up student information for ${login}...`);
+
+  const student = {name: '', user: '', source: 'none'};
+
+  try {
+    const text = await readRoster(octokit, config);
+
+    if (text !== undefined) {
+      const found = exports.parseRoster(text).get(login.toLowerCase());
+
+      if (found && found.name && found.email) {
+        core.info(`Found ${login} in roster.`);
+        return {name: found.name, user: exports.emailUser(found.email), source: 'roster'};
+      }
+
+      core.info(`Unable to find ${login} in roster.`);
+    }
+  }
+  catch (error) {
+    utils.showWarning(`Unable to read roster (${error.message}).`);
+  }
+
+  const pulls = await utils.getPullRequests(octokit, context);
+  const sorted = pulls.slice().sort((x, y) => y.created_at.localeCompare(x.created_at));
+
+  for (const pull of sorted) {
+    const found = exports.parseBody(pull.body);
+
+    if (found.name && found.email) {
+      core.info(`Found student information in pull request #${pull.number}.`);
+      return {name: found.name, user: exports.emailUser(found.email), source: `pull request #${pull.number}`};
+    }
+  }
+
+  utils.showWarning(`Unable to find student information for ${login}. The student must fill it in manually.`);
+  return student;
+};
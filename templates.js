@@ -0,0 +1,226 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const utils = require('./utils.js');
+const errors = require('./errors.js');
+
+// PULL REQUEST BODY AND INSTRUCTIONS TEMPLATES
+
+exports.directory = path.join(__dirname, 'templates');
+
+// templates that may be overridden, rendered into the pull request
+exports.names = ['body', 'comment'];
+
+/*
+ * Variables available to every template. Includes every value saved as state
+ * by the setup phase, plus values looked up while creating the request.
+ */
+exports.variables = {
+  // saved by the setup phase
+  version: 'release requested by the student',
+  project: 'project number',
+  type: 'review type (Synchronous or Asynchronous)',
+  downgraded: 'why an asynchronous request was downgraded to synchronous, if it was',
+  releaseTag: 'release tag',
+  releaseUrl: 'release URL',
+  releaseDate: 'release creation date (ISO format)',
+  releaseSha: 'commit SHA the release tag points to',
+  runNumber: 'verified workflow run number',
+  runId: 'verified workflow run id',
+  runUrl: 'verified workflow run URL',
+  issueNumber: 'approved functionality issue number',
+  issueUrl: 'approved functionality issue URL',
+  branch: 'review branch name',
+  resubmit: 'number of the open pull request being resubmitted, if any',
+
+  // looked up while creating the request
+  course: 'course name from the configuration',
+  actor: 'login of the student requesting review',
+  typeLower: 'review type in lowercase',
+  projectName: 'project name from the configuration',
+  projectGuide: 'project guide URL from the configuration',
+  studentName: 'student full name (or the [FULL_NAME] placeholder)',
+  studentEmail: 'student USF email (or the [USF_EMAIL] placeholder)',
+  studentFound: 'whether the student name and email were both found',
+  releaseCreated: 'release creation date in the configured time zone',
+  changes: 'summary of changes since the previous review',
+  previousPulls: 'review history table of earlier pull requests for the project (or N/A)',
+  previousCount: 'number of earlier pull requests for the project',
+  reviewers: 'mentions of the reviewers requested for this pull request',
+  replyDays: 'business days reviewers aim to reply within (the review reminder setting)'
+};
+
+// any {{...}} tag, and the tags that are valid
+const tags = /{{(.*?)}}/g;
+const tag = /^\s*([#^/]?)\s*(\w+)\s*$/;
+
+/*
+ * Checks the placeholders of template text, returning a list of problems
+ * found. Sections must be closed in order and only use known variables.
+ */
+exports.check = function(text) {
+  const problems = [];
+  const open = [];
+
+  for (const match of text.matchAll(tags)) {
+    const found = match[1].match(tag);
+
+    if (!found) {
+      problems.push(`invalid placeholder ${match[0]}`);
+      continue;
+    }
+
+    const [, kind, name] = found;
+
+    if (!(name in exports.variables)) {
+      problems.push(`unknown placeholder ${match[0]}`);
+      continue;
+    }
+
+    if (kind == '#' || kind == '^') {
+      open.push(name);
+    }
+    else if (kind == '/') {
+      const last = open.pop();
+
+      if (last != name) {
+        problems.push(last === undefined ? `unexpected ${match[0]}` : `{{/${last}}} expected before ${match[0]}`);
+      }
+    }
+  }
+
+  for (const name of open) {
+    problems.push(`section {{${name}}} is never closed`);
+  }
+
+  return problems;
+};
+
+/*
+ * Checks the templates section of the course configuration, returning a list
+ * of problems found. Template files may be set for the whole course, per
+ * review type, per project, and per review type of a project.
+ */
+exports.validate = function(settings) {
+  const problems = [];
+
+  if (settings === undefined) {
+    return problems;
+  }
+
+  const checkLevel = function(level, prefix, nested) {
+    if (level === null || typeof level !== 'object' || Array.isArray(level)) {
+      problems.push(`"${prefix}" must be an object`);
+      return;
+    }
+
+    for (const key in level) {
+      const value = level[key];
+
+      if (nested.includes(key)) {
+        continue;
+      }
+
+      if (!exports.names.includes(key)) {
+        problems.push(`"${prefix}.${key}" is not a template (use ${exports.names.concat(nested).join(', ')})`);
+        continue;
+      }
+
+      if (typeof value !== 'string' || !value) {
+        problems.push(`"${prefix}.${key}" must be the path of a template file`);
+        continue;
+      }
+
+      if (!fs.existsSync(utils.resolveFile(value))) {
+        problems.push(`"${prefix}.${key}" template file ${value} not found`);
+        continue;
+      }
+
+      for (const problem of exports.check(fs.readFileSync(utils.resolveFile(value), 'utf8'))) {
+        problems.push(`"${prefix}.${key}" template has ${problem}`);
+      }
+    }
+
+    for (const key of nested.filter(x => x in level && x != 'projects')) {
+      checkLevel(level[key], `${prefix}.${key}`, []);
+    }
+  };
+
+  const types = ['synchronous', 'asynchronous'];
+  checkLevel(settings, 'templates', types.concat(['projects']));
+
+  if (settings !== null && typeof settings === 'object' && 'projects' in settings) {
+    const projects = settings.projects;
+
+    if (projects === null || typeof projects !== 'object' || Array.isArray(projects)) {
+      problems.push('"templates.projects" must map project numbers to templates');
+    }
+    else {
+      for (const number in projects) {
+        checkLevel(projects[number], `templates.projects.${number}`, types);
+      }
+    }
+  }
+
+  return problems;
+};
+
+/*
+ * Finds the template file to use, in order: the project and review type, the
+ * project, the review type, the course, or else the default template.
+ */
+exports.find = function(config, name, project, type) {
+  const settings = config.templates || {};
+  const specific = (settings.projects || {})[project] || {};
+  const key = type.toLowerCase();
+
+  const levels = [specific[key], specific, settings[key], settings];
+  const found = levels.find(x => x && typeof x[name] === 'string');
+
+  return found ? utils.resolveFile(found[name]) : path.join(exports.directory, `${name}.md`);
+};
+
+/*
+ * Renders template text with the values. Sections {{#name}}...{{/name}} are
+ * kept if the value is truthy, inverted sections {{^name}}...{{/name}} if it
+ * is falsy, and {{name}} placeholders are replaced by the value.
+ */
+exports.render = function(text, values) {
+  const sections = /{{\s*([#^])\s*(\w+)\s*}}([\s\S]*?){{\s*\/\s*\2\s*}}/g;
+  let rendered = text;
+  let previous = undefined;
+
+  // sections are removed from the outside in
+  while (rendered !== previous) {
+    previous = rendered;
+    rendered = rendered.replace(sections, (match, kind, name, inner) => (kind == '#') == Boolean(values[name]) ? inner : '');
+  }
+
+  return rendered.replace(/{{\s*(\w+)\s*}}/g, (match, name) => values[name] === undefined || values[name] === null ? '' : String(values[name]));
+};
+
+/*
+ * Loads, checks, and renders the named template for the project and review
+ * type. Throws an error if the template uses an unknown placeholder.
+ */
+exports.fill = function(config, name, project, type, values) {
+  const file = exports.find(config, name, project, type);
+  core.info(`Using ${name} template: ${file}`);
+
+  let text = undefined;
+
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  }
+  catch (error) {
+    throw errors.create('invalid-config', `Unable to read ${name} template ${file} (${error.message}).`);
+  }
+
+  const problems = exports.check(text);
+
+  if (problems.length > 0) {
+    throw errors.create('invalid-config', `Invalid ${name} template ${file}: ${problems.join('; ')}.`);
+  }
+
+  return exports.render(text, values);
+};
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const analysis = require('../analysis.js');
+
+// analyzes the given java files with the default rules and config overrides
+function analyze(t, files, config = {}) {
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'analysis-'));
+  t.after(() => fs.rmSync(base, {recursive: true, force: true}));
+
+  for (const name in files) {
+    fs.mkdirSync(path.join(base, 'src/main/java'), {recursive: true});
+    fs.writeFileSync(path.join(base, 'src/main/java', name), files[name]);
+  }
+
+  const rules = analysis.getRules(config, 1);
+  return analysis.analyze(base, 'src/main/java', rules);
+}
+
+function summarize(findings) {
+  return findings.map(x => `${x.rule}:${x.level}:${x.file}:${x.line}`);
+}
+
+test('finds every rule violation in one pass', t => {
+  const findings = analyze(t, {
+    'Driver.java': [
+      'public class Driver {',
+      '  public static void main(String[] args) {',
+      '    System.out.println("Hello");',
+      '  }',
+      '}'
+    ].join('\n'),
+    'Index.java': [
+      'import java.util.List;',
+      'import java.util.Map;',
+      '',
+      'public class Index {',
+      '  // TODO Fix this',
+      '  /* FIXME later */',
+      '  public static void main(String[] args) {',
+      '    System.out.println("debug");',
+      '  }',
+      '',
+      '  public void read(Map<String, String> map) {',
+      '    try {',
+      '      map.clear();',
+      '    }',
+      '    catch (Exception e) {',
+      '      e.printStackTrace();',
+      '    }',
+      '    // map.put("a", "b");',
+      '    // if (map.isEmpty()) {',
+      '    //   return;',
+      '    // }',
+      '  }',
+      '}'
+    ].join('\n')
+  });
+
+  assert.deepStrictEqual(summarize(findings), [
+    'todo:error:src/main/java/Index.java:5',
+    'todo:error:src/main/java/Index.java:6',
+    'extra-main:error:src/main/java/Index.java:7',
+    'debug-output:warning:src/main/java/Index.java:8',
+    'stack-trace:warning:src/main/java/Index.java:16',
+    'commented-code:warning:src/main/java/Index.java:18',
+    'unused-import:warning:src/main/java/Index.java:1'
+  ]);
+});
+
+test('ignores matches inside comments and strings', t => {
+  const findings = analyze(t, {
+    'Example.java': [
+      '/**',
+      ' * Call {@link List#add} but not public static void main(String[] args)',
+      ' */',
+      'public class Example {',
+      '  String text = "System.out.println(e.printStackTrace())";',
+      '  // todos are tracked elsewhere',
+      '}'
+    ].join('\n')
+  });
+
+  assert.deepStrictEqual(findings, []);
+});
+
+test('counts javadoc links as import usage', t => {
+  const findings = analyze(t, {
+    'Example.java': [
+      'import java.util.List;',
+      '',
+      '/** Works like a {@link List}. */',
+      'public class Example {',
+      '}'
+    ].join('\n')
+  });
+
+  assert.deepStrictEqual(findings, []);
+});
+
+test('finds oversized methods', t => {
+  const body = Array.from({length: 70}, (x, i) => `    total += ${i};`);
+
+  const findings = analyze(t, {
+    'Long.java': [
+      'public class Long {',
+      '  public int sum(',
+      '      int start) {',
+      '    int total = start;',
+      ...body,
+      '    return total;',
+      '  }',
+      '',
+      '  public int small() {',
+      '    return 0;',
+      '  }',
+      '}'
+    ].join('\n')
+  });
+
+  assert.deepStrictEqual(summarize(findings), ['method-length:warning:src/main/java/Long.java:2']);
+  assert.match(findings[0].message, /Method sum is 75 lines long \(maximum is 60\)/);
+});
+
+test('applies course and project rule levels', t => {
+  const files = {'Todo.java': 'public class Todo {\n  // TODO\n  void a() { System.out.println(); }\n}\n'};
+
+  const config = {
+    analysis: {
+      rules: {'debug-output': 'error', 'method-length': {max: 1}},
+      projects: {1: {todo: 'warning'}, 2: {todo: 'off'}}
+    }
+  };
+
+  assert.deepStrictEqual(summarize(analyze(t, files, config)), [
+    'todo:warning:src/main/java/Todo.java:2',
+    'debug-output:error:src/main/java/Todo.java:3'
+  ]);
+});
+
+test('reports error findings for every failed rule together', () => {
+  const rules = analysis.getRules({}, 1);
+
+  const findings = [
+    {rule: 'todo', level: 'error', file: 'A.java', line: 1, message: 'TODO'},
+    {rule: 'extra-main', level: 'error', file: 'B.java', line: 2, message: 'main'},
+    {rule: 'debug-output', level: 'warning', file: 'B.java', line: 3, message: 'print'}
+  ];
+
+  assert.throws(() => analysis.report(findings, rules), /One or more TODO comments found. More than one main method found. Please clean up/);
+  assert.strictEqual(analysis.report(findings.slice(2), rules), 1);
+});
+
+test('validates analysis configuration', () => {
+  assert.deepStrictEqual(analysis.validate(undefined), []);
+  assert.deepStrictEqual(analysis.validate({rules: {'method-length': {max: 80}}}), []);
+
+  const problems = analysis.validate({rules: {todo: 'fatal', spelling: 'error'}, projects: {1: {todo: 'off'}}});
+  assert.strictEqual(problems.length, 2);
+  assert.match(problems[0], /"analysis.rules.todo" must be one of error, warning, off/);
+  assert.match(problems[1], /"analysis.rules.spelling" is not a known rule/);
+});
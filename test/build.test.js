@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+
+const { simulate } = require('./harness.js');
+const build = require('../build.js');
+const diagnostics = require('../diagnostics.js');
+
+const warning = 'public class Warning { // fake-javac: [rawtypes] found raw type: List\n}\n';
+
+test('maven is the default build system', () => {
+  const adapter = build.getAdapter({});
+
+  assert.strictEqual(adapter.system, 'maven');
+  assert.strictEqual(adapter.source, 'src/main/java');
+  assert.strictEqual(adapter.parse, diagnostics.parseMaven);
+});
+
+test('build settings override the adapter defaults', () => {
+  const adapter = build.getAdapter({build: {system: 'gradle', source: 'app/src/main/java'}});
+
+  assert.strictEqual(adapter.system, 'gradle');
+  assert.strictEqual(adapter.source, 'app/src/main/java');
+  assert.strictEqual(adapter.parse, diagnostics.parseJavac);
+  assert.strictEqual(adapter.strict, true);
+});
+
+test('gradle enables every lint warning as an error with an init script', () => {
+  const compile = build.getAdapter({build: {system: 'gradle'}}).compile;
+  const script = fs.readFileSync(compile[compile.indexOf('--init-script') + 1], 'utf8');
+
+  assert.match(script, /options.compilerArgs \+= \['-Xlint:all', '-Xdoclint:all\/private', '-Werror'\]/);
+});
+
+test('validation reports invalid build settings', () => {
+  assert.deepStrictEqual(build.validate({system: 'command'}), ['"build.compile" is required for the command build system']);
+
+  const problems = build.validate({system: 'ant', compile: 'ant build', versions: [[]], parser: 'cobol', strict: 'yes'});
+  assert.strictEqual(problems.length, 5);
+});
+
+test('javac diagnostics without columns are parsed', () => {
+  const output = [
+    '/work/src/Main.java:12: warning: [rawtypes] found raw type: List',
+    '/work/src/Main.java:20: error: cannot find symbol',
+    'BUILD FAILED'
+  ].join('\n');
+
+  assert.deepStrictEqual(diagnostics.parseJavac(output, '/work'), [
+    {file: 'src/Main.java', line: 12, column: undefined, category: 'rawtypes', message: 'found raw type: List', level: 'warning'},
+    {file: 'src/Main.java', line: 20, column: undefined, category: 'javac', message: 'cannot find symbol', level: 'error'}
+  ]);
+});
+
+test('gcc style diagnostics are parsed', () => {
+  const output = "src/main.c:12:5: warning: unused variable 'x' [-Wunused-variable]\nlint.py:3: error: missing import";
+
+  assert.deepStrictEqual(diagnostics.parseGcc(output, '/work'), [
+    {file: 'src/main.c', line: 12, column: 5, category: '-Wunused-variable', message: "unused variable 'x'", level: 'warning'},
+    {file: 'lint.py', line: 3, column: undefined, category: 'compiler', message: 'missing import', level: 'error'}
+  ]);
+});
+
+test('request compiles with gradle', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.configure({build: {system: 'gradle'}});
+
+  const failed = await sim.runAction();
+  assert.strictEqual(failed, undefined);
+  assert.match(sim.log, /Gradle 7.2 \(simulated\)/);
+  assert.match(sim.log, /Compiling project code with gradle/);
+  assert.doesNotMatch(sim.log, /Apache Maven/);
+});
+
+test('request fails gradle builds with warnings', async t => {
+  const sim = simulate(t).qualify('v1.0.0', {files: {'src/main/java/Warning.java': warning}});
+  sim.configure({build: {system: 'gradle'}});
+
+  const failed = await sim.runAction();
+  assert.match(failed, /Unable to compiling code without warnings. Please address all warnings before requesting code review/);
+  assert.strictEqual(sim.outputs['failure-code'], 'compile-failed');
+
+  const annotation = sim.annotations.find(x => x[0] === 'error' && x[2].title === 'Compiler: rawtypes');
+  assert.strictEqual(annotation[2].file, 'src/main/java/Warning.java');
+  assert.strictEqual(annotation[2].startLine, 1);
+  assert.ok(!('startColumn' in annotation[2]));
+});
+
+test('request compiles with a configured command', async t => {
+  const lint = [
+    "const fs = require('fs');",
+    "for (const file of fs.readdirSync('lib')) {",
+    "  if (fs.readFileSync('lib/' + file, 'utf8').includes('var ')) {",
+    "    console.log('lib/' + file + ':1:1: warning: use let instead of var [no-var]');",
+    '  }',
+    '}'
+  ].join('\n');
+
+  const sim = simulate(t).qualify('v1.0.0', {files: {'lint.js': lint, 'lib/app.js': 'var x = 1;\n'}});
+
+  sim.configure({build: {
+    system: 'command',
+    source: 'lib',
+    versions: [['node', '--version']],
+    compile: ['node', 'lint.js'],
+    parser: 'gcc'
+  }});
+
+  const failed = await sim.runAction();
+  assert.match(failed, /Unable to compiling code without warnings/);
+  assert.match(sim.log, /Displaying node version/);
+  assert.ok(sim.annotations.some(x => x[0] === 'error' && x[1] === 'use let instead of var' && x[2].file === 'lib/app.js'));
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('assert');
+
+const { Simulation } = require('./harness.js');
+
+/*
+ * Simulates a student that already requested a synchronous code review of
+ * v1.0.0, ready for the next run with the given inputs.
+ */
+async function requested(t, inputs) {
+  const sim = new Simulation().qualify('v1.0.0');
+  t.after(() => sim.cleanup());
+
+  assert.strictEqual(await sim.runAction(), undefined);
+
+  sim.reset();
+  Object.assign(sim.inputs, inputs);
+  return sim;
+}
+
+test('cancel closes the open request and deletes its branch', async t => {
+  const sim = await requested(t, {mode: 'cancel'});
+  const [pull] = sim.api.pullData;
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(pull.state, 'closed');
+  assert.ok(pull.labels.some(x => x.name == 'cancelled'));
+  assert.deepStrictEqual(sim.remoteBranches(), ['main']);
+
+  const comment = sim.api.comments.find(x => x.body.includes('cancelled'));
+  assert.match(comment.body, /This code review request was cancelled by @student. Request code review again when ready./);
+
+  assert.strictEqual(sim.outputs['result'], 'success');
+  assert.strictEqual(sim.outputs['cancelled'], String(pull.number));
+  assert.match(sim.readSummary(), new RegExp(`Code review request #${pull.number} for project 1 cancelled.`));
+});
+
+test('cancel protects approved requests', async t => {
+  const sim = await requested(t, {mode: 'cancel'});
+  const [pull] = sim.api.pullData;
+  sim.api.reviews[pull.number] = [{state: 'APPROVED', user: {login: 'mtquach2'}}];
+
+  assert.match(await sim.runAction(), new RegExp(`Code review request #${pull.number} was already approved and may not be cancelled.`));
+  assert.strictEqual(sim.outputs['failure-code'], 'cancel-failed');
+  assert.strictEqual(pull.state, 'open');
+  assert.deepStrictEqual(sim.remoteBranches(), ['main', 'review/v1.0.0']);
+});
+
+test('cancel ignores reviews by the student', async t => {
+  const sim = await requested(t, {mode: 'cancel'});
+  const [pull] = sim.api.pullData;
+  sim.api.reviews[pull.number] = [{state: 'APPROVED', user: {login: 'student'}}];
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(pull.state, 'closed');
+});
+
+test('cancel protects requests approved before the student requested changes', async t => {
+  const sim = await requested(t, {mode: 'cancel'});
+  const [pull] = sim.api.pullData;
+  sim.api.reviews[pull.number] = [
+    {state: 'APPROVED', user: {login: 'mtquach2'}},
+    {state: 'CHANGES_REQUESTED', user: {login: 'student'}}
+  ];
+
+  assert.match(await sim.runAction(), new RegExp(`Code review request #${pull.number} was already approved and may not be cancelled.`));
+  assert.strictEqual(pull.state, 'open');
+});
+
+test('cancel is only allowed for the student or an instructor', async t => {
+  const sim = await requested(t, {mode: 'cancel'});
+  const [pull] = sim.api.pullData;
+  sim.actor = 'classmate';
+
+  assert.match(await sim.runAction(), new RegExp(`Only the student assigned to pull request #${pull.number} or an instructor may cancel it, not classmate.`));
+  assert.strictEqual(sim.api.pullData[0].state, 'open');
+
+  sim.reset();
+  sim.actor = 'mtquach2';
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(sim.api.pullData[0].state, 'closed');
+});
+
+test('cancel requires an open request for the project', async t => {
+  const sim = new Simulation({inputs: {mode: 'cancel', release: 'v2.0.0'}});
+  t.after(() => sim.cleanup());
+
+  assert.match(await sim.runAction(), /No open code review request found for project 2./);
+  assert.strictEqual(sim.outputs['failure-code'], 'cancel-failed');
+});
+
+test('resubmit cancels the open request and requests again', async t => {
+  const sim = await requested(t, {mode: 'resubmit', type: 'asynchronous'});
+  sim.configure({eligibility: {rules: {'async-approval': 'off'}}});
+
+  assert.strictEqual(await sim.runAction(), undefined);
+
+  const [cancelled, resubmitted] = sim.api.pullData;
+  assert.strictEqual(cancelled.state, 'closed');
+  assert.match(sim.api.comments.find(x => x.issue_number == cancelled.number && x.body.includes('cancelled')).body, /It was resubmitted for release v1.0.0 \(asynchronous code review\)./);
+
+  assert.strictEqual(resubmitted.state, 'open');
+  assert.strictEqual(resubmitted.title, 'Project v1.0.0 Asynchronous Code Review');
+  assert.deepStrictEqual(sim.remoteBranches(), ['main', 'review/v1.0.0']);
+  assert.strictEqual(sim.outputs['cancelled'], String(cancelled.number));
+});
+
+test('resubmit keeps the open request when the new release fails verification', async t => {
+  const sim = await requested(t, {mode: 'resubmit', release: 'v1.0.1'});
+
+  assert.match(await sim.runAction(), /v1.0.1/);
+  assert.strictEqual(sim.api.pullData[0].state, 'open');
+  assert.strictEqual(sim.api.called('git.deleteRef').length, 0);
+});
+
+test('resubmit keeps the open request when the new release fails cleanup', async t => {
+  const sim = new Simulation({inputs: {mode: 'resubmit'}}).qualify('v1.0.1', {
+    earlier: {'v1.0.0': {}},
+    files: {'src/main/java/Todo.java': 'public class Todo {\n  // TODO\n}\n'},
+    branches: ['review/v1.0.0']
+  });
+  t.after(() => sim.cleanup());
+
+  sim.api.addRelease('v1.0.0');
+  const pull = sim.api.addPull(['project1', 'synchronous', 'v1.0.0'], {
+    state: 'open', closed_at: null, assignees: [{login: 'student'}], head: {ref: 'review/v1.0.0'}
+  });
+
+  assert.match(await sim.runAction(), /TODO comments found/);
+  assert.strictEqual(pull.state, 'open');
+  assert.ok(!pull.labels.some(x => x.name == 'cancelled'));
+  assert.deepStrictEqual(sim.remoteBranches(), ['main', 'review/v1.0.0']);
+  assert.strictEqual(sim.outputs['cancelled'], undefined);
+});
+
+test('resubmit dry runs ignore the open request', async t => {
+  const sim = await requested(t, {mode: 'resubmit', type: 'asynchronous', 'dry-run': 'true'});
+  sim.configure({eligibility: {rules: {'async-approval': 'off'}}});
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(sim.outputs['result'], 'dry-run');
+  assert.match(sim.log, /Skipping cancel of pull request #\d+ for dry run/);
+
+  assert.strictEqual(sim.api.pullData.length, 1);
+  assert.strictEqual(sim.api.pullData[0].state, 'open');
+  assert.deepStrictEqual(sim.remoteBranches(), ['main', 'review/v1.0.0']);
+});
+
+test('resubmit reports the cancelled request when the new request fails', async t => {
+  const sim = await requested(t, {mode: 'resubmit', type: 'asynchronous'});
+  sim.configure({eligibility: {rules: {'async-approval': 'off'}}});
+  sim.api.fail('pulls.create', 422);
+
+  assert.match(await sim.runAction(), /Unable to create pull request/);
+  assert.strictEqual(sim.outputs['cancelled'], String(sim.api.pullData[0].number));
+
+  const warning = sim.annotations.find(x => x[0] === 'warning' && /was cancelled to resubmit it/.test(x[1]));
+  assert.match(warning[1], new RegExp(`Code review request #${sim.api.pullData[0].number} was cancelled to resubmit it, but the new request could not be completed.`));
+});
+
+test('grading skips cancelled requests', async t => {
+  const sim = await requested(t, {mode: 'cancel'});
+  assert.strictEqual(await sim.runAction(), undefined);
+
+  sim.reset();
+  sim.inputs.mode = 'grading';
+  sim.event = {name: 'pull_request', payload: {action: 'closed', pull_request: sim.api.pullData[0]}};
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(sim.outputs['result'], 'skipped');
+  assert.strictEqual(sim.api.called('issues.lock').length, 0);
+});
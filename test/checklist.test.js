@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('assert');
+
+const { simulate } = require('./harness.js');
+
+// finds the checklist row for a check title
+function row(summary, title) {
+  const found = summary.split('\n').find(x => x.includes(`| ${title} |`));
+  assert.ok(found, `Missing checklist row: ${title}`);
+  return found;
+}
+
+test('summary lists every passed check with links', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+
+  const failed = await sim.runAction();
+  assert.strictEqual(failed, undefined);
+
+  const summary = sim.readSummary();
+  assert.match(summary, /## Code Review Request Checklist\n\n:white_check_mark: \*\*Every check passed.\*\*/);
+
+  assert.match(row(summary, 'Release found'), /^\| :white_check_mark: \| Release found \| v1.0.0 at [0-9a-f]{7} \[View\]\(.*\/releases\/tag\/v1.0.0\) \|$/);
+  assert.match(row(summary, 'Release tests passed'), new RegExp(`\\[View\\]\\(${sim.run.html_url}\\)`));
+  assert.match(row(summary, 'Functionality passed'), new RegExp(`Issue #${sim.functionality.number} \\[View\\]\\(${sim.functionality.html_url}\\)`));
+  assert.match(row(summary, 'Design not yet approved'), /:white_check_mark:/);
+  assert.match(row(summary, 'No open review requests'), /:white_check_mark:/);
+  assert.match(row(summary, 'Main branch even with release'), /main is even with v1.0.0/);
+  assert.match(row(summary, 'Code compiles without warnings'), /:white_check_mark:/);
+  assert.match(row(summary, 'No TODO comments'), /:white_check_mark:/);
+  assert.match(row(summary, 'Single main method'), /:white_check_mark:/);
+  assert.match(row(summary, 'Pull request created'), /Pull request #\d+ \[View\]\(.*\/pull\/\d+\)/);
+});
+
+test('summary explains how to fix a failed setup check and skips the rest', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.functionality.locked = false;
+
+  const failed = await sim.runAction();
+  assert.match(failed, /Unable to detect approved functionality issue/);
+
+  const summary = sim.readSummary();
+  assert.match(summary, /:x: \*\*Request failed:\*\* Unable to detect approved functionality issue/);
+  assert.match(row(summary, 'Release found'), /:white_check_mark:/);
+  assert.match(row(summary, 'Functionality passed'), /^\| :x: \| Functionality passed \| Unable to detect .* \*\*How to fix:\*\* Pass the project functionality/);
+  assert.match(row(summary, 'Main branch even with release'), /:heavy_minus_sign: .* Skipped/);
+  assert.match(row(summary, 'Pull request created'), /:heavy_minus_sign: .* Skipped/);
+});
+
+test('summary shows a missing release', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.releases = [];
+
+  await sim.runAction();
+
+  const summary = sim.readSummary();
+  assert.match(row(summary, 'Release found'), /:x: .* Unable to fetch release v1.0.0 .* \*\*How to fix:\*\* Publish a release/);
+  assert.match(row(summary, 'Release tests passed'), /:heavy_minus_sign:/);
+});
+
+test('summary shows a main branch with commits after the release', async t => {
+  const sim = simulate(t).qualify('v1.0.0', {after: {'README.md': 'Changed'}});
+
+  await sim.runAction();
+
+  const summary = sim.readSummary();
+  assert.match(row(summary, 'Repository cloned'), /:white_check_mark:/);
+  assert.match(row(summary, 'Main branch even with release'), /:x: .* \*\*How to fix:\*\* Create a new release from the latest commit/);
+});
+
+test('summary keeps setup checks and shows failed request checks', async t => {
+  const sim = simulate(t).qualify('v1.0.0', {files: {'src/main/java/Todo.java': 'public class Todo {\n  // TODO Finish\n}\n'}});
+
+  const failed = await sim.runAction();
+  assert.match(failed, /One or more TODO comments found/);
+
+  const summary = sim.readSummary();
+  assert.match(row(summary, 'Functionality passed'), /:white_check_mark:/);
+  assert.match(row(summary, 'Code compiles without warnings'), /:white_check_mark:/);
+  assert.match(row(summary, 'No TODO comments'), /:x: .* at src\/main\/java\/Todo.java:2\. \*\*How to fix:\*\* Remove every TODO/);
+  assert.match(row(summary, 'Pull request created'), /Skipped/);
+});
+
+test('summary shows failed compiling', async t => {
+  const sim = simulate(t).qualify('v1.0.0', {
+    files: {'src/main/java/Warning.java': 'public class Warning { // fake-javac: [rawtypes] found raw type: List\n}\n'}
+  });
+
+  await sim.runAction();
+
+  const summary = sim.readSummary();
+  assert.match(row(summary, 'Code compiles without warnings'), /:x: .* Unable to compiling code without warnings/);
+  assert.match(row(summary, 'No TODO comments'), /Skipped/);
+});
+
+test('summary skips the pull request for dry runs', async t => {
+  const sim = simulate(t, {inputs: {'dry-run': 'true'}}).qualify('v1.0.0');
+
+  const failed = await sim.runAction();
+  assert.strictEqual(failed, undefined);
+
+  assert.match(row(sim.readSummary(), 'Pull request created'), /:heavy_minus_sign: .* Dry run. No branch or pull request was created./);
+});
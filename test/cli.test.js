@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const version = require('../version.js');
+
+const cli = path.join(__dirname, '..', 'cli.js');
+const fixture = path.join(__dirname, 'fixtures', 'project');
+
+/*
+ * Copies the fixture project (with any changed files) to a temporary directory
+ * that is removed after the test.
+ */
+function project(t, files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'request-review-cli-'));
+  t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+  fs.cpSync(fixture, dir, {recursive: true});
+
+  for (const file in files) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), {recursive: true});
+    fs.writeFileSync(path.join(dir, file), files[file]);
+  }
+
+  return dir;
+}
+
+/*
+ * Runs the command line tool without any Github environment.
+ */
+function run(args) {
+  const env = {PATH: `${path.join(__dirname, 'bin')}${path.delimiter}${process.env.PATH}`};
+  const result = spawnSync(process.execPath, [cli, ...args], {env: env, encoding: 'utf8', timeout: 60000});
+  return {status: result.status, output: result.stdout + result.stderr};
+}
+
+test('versions are parsed with the configured pattern', () => {
+  const config = {regex: /^v([1-4])\.(\d+)\.(\d+)$/, projects: {1: {}, 2: {}}};
+
+  assert.deepStrictEqual(version.parse('refs/tags/v2.3.1', config), {version: 'v2.3.1', project: 2, reviews: 3, patches: 1});
+  assert.throws(() => version.parse('v2.3', config), {failure: 'invalid-release'});
+  assert.throws(() => version.parse('v3.0.0', config), /Project 3 from release v3.0.0 is not configured/);
+});
+
+test('invalid arguments show the usage', () => {
+  for (const args of [[], ['check'], ['verify', 'v1.0.0'], ['check', 'v1.0.0', '--dir']]) {
+    const result = run(args);
+
+    assert.strictEqual(result.status, 2);
+    assert.match(result.output, /Usage: request-review check <release>/);
+  }
+});
+
+test('clean project passes the local checks', t => {
+  const dir = project(t);
+  const result = run(['check', 'v1.0.0', '--dir', dir]);
+
+  assert.strictEqual(result.status, 0, result.output);
+  assert.match(result.output, /Release v1\.0\.0 passed the local checks/);
+});
+
+test('compiler warnings fail the local checks', t => {
+  const dir = project(t, {'src/main/java/Warning.java': 'public class Warning { // fake-javac: [rawtypes] found raw type: List\n}\n'});
+  const result = run(['check', 'v1.0.0', '--dir', dir]);
+
+  assert.strictEqual(result.status, 1);
+  assert.match(result.output, /\(compile-failed\)/);
+});
+
+test('cleanup problems fail the local checks', t => {
+  const dir = project(t, {'src/main/java/Todo.java': 'public class Todo {\n  // TODO finish this\n}\n'});
+  const result = run(['check', 'v1.0.0', '--dir', dir]);
+
+  assert.strictEqual(result.status, 1);
+  assert.match(result.output, /\(cleanup-failed\)/);
+});
+
+test('unconfigured releases fail the local checks', t => {
+  const dir = project(t);
+  const result = run(['check', 'v9.0.0', '--dir', dir]);
+
+  assert.strictEqual(result.status, 1);
+  assert.match(result.output, /\(invalid-release\)/);
+});
+
+test('course configuration file is used when given', t => {
+  const dir = project(t);
+  const file = path.join(dir, 'course.yml');
+
+  const text = fs.readFileSync(path.join(__dirname, '..', 'course.yml'), 'utf8');
+  fs.writeFileSync(file, text.replace(/^version: .*$/m, () => "version: '^release-([1-4])\\.(\\d+)\\.(\\d+)$'"));
+
+  assert.strictEqual(run(['check', 'v1.0.0', '--dir', dir, '--config', file]).status, 1);
+  assert.strictEqual(run(['check', 'release-1.0.0', '--dir', dir, '--config', file]).status, 0);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('assert');
+
+const { simulate } = require('./harness.js');
+
+const added = `
+/**
+ * Builds the index.
+ */
+public class Builder {
+	/**
+	 * Does nothing.
+	 */
+	private Builder() {
+	}
+}
+`;
+
+// earlier releases of the fixture project; v1.1.0 adds the builder class
+const earlier = {
+  'v1.0.0': {},
+  'v1.1.0': {'src/main/java/Builder.java': added, 'src/main/java/Other.java': added.replace(/Builder/g, 'Other')}
+};
+
+// the release under review deletes the other class
+const files = {'src/main/java/Other.java': null};
+
+test('request compares the release with the last approved review', async t => {
+  const sim = simulate(t).qualify('v1.2.0', {earlier: earlier, files: files});
+
+  const first = sim.api.addPull(['project1', 'synchronous', 'v1.0.0']);
+  sim.api.reviews[first.number] = [{state: 'APPROVED', user: {login: 'mtquach2'}}];
+  sim.api.addPull(['project1', 'synchronous', 'v1.1.0']); // not approved
+
+  const failed = await sim.runAction();
+  assert.strictEqual(failed, undefined);
+
+  const [create] = sim.api.called('pulls.create');
+  assert.match(create.body, new RegExp(`Release v1.0.0 from pull request #${first.number} \\(approved\\)`));
+  assert.match(create.body, /\[v1.0.0...v1.2.0\]\(https:\/\/github.com\/usf-cs272-fall2021\/project-student\/compare\/v1.0.0...v1.2.0\)/);
+  assert.match(create.body, /\*\*Changed Files:\*\* 1/);
+  assert.match(create.body, /\*\*Lines Changed:\*\* \+11 \/ -0/);
+  assert.match(create.body, /\*\*New Classes:\*\* `Builder`/);
+  assert.match(create.body, /\| `Builder` \| added \| \+11 \| -0 \|/);
+});
+
+test('request compares with the latest review when none were approved', async t => {
+  const sim = simulate(t).qualify('v1.2.0', {earlier: earlier, files: files});
+
+  sim.api.addPull(['project1', 'synchronous', 'v1.0.0']);
+  const second = sim.api.addPull(['project1', 'synchronous', 'v1.1.0']);
+  sim.api.addPull(['project2', 'synchronous', 'v2.0.0']);
+
+  const failed = await sim.runAction();
+  assert.strictEqual(failed, undefined);
+
+  const [create] = sim.api.called('pulls.create');
+  assert.match(create.body, new RegExp(`Release v1.1.0 from pull request #${second.number}\n`));
+  assert.match(create.body, /\*\*Deleted Classes:\*\* `Other`/);
+  assert.match(create.body, /\| `Other` \| deleted \| \+0 \| -11 \|/);
+});
+
+test('request does not compare with a cancelled review request', async t => {
+  const sim = simulate(t).qualify('v1.2.0', {earlier: earlier, files: files});
+
+  sim.api.addPull(['project1', 'synchronous', 'v1.0.0']);
+  const second = sim.api.addPull(['project1', 'synchronous', 'v1.1.0']);
+  sim.api.addPull(['project1', 'synchronous', 'v1.1.1', 'cancelled']);
+
+  const failed = await sim.runAction();
+  assert.strictEqual(failed, undefined);
+
+  const [create] = sim.api.called('pulls.create');
+  assert.match(create.body, new RegExp(`Release v1.1.0 from pull request #${second.number}\n`));
+});
+
+test('request finds approvals past the first page of reviews', async t => {
+  const sim = simulate(t).qualify('v1.2.0', {earlier: earlier, files: files});
+
+  const first = sim.api.addPull(['project1', 'synchronous', 'v1.0.0']);
+  const comments = new Array(30).fill({state: 'COMMENTED', user: {login: 'octocat'}});
+  sim.api.reviews[first.number] = comments.concat([{state: 'APPROVED', user: {login: 'mtquach2'}}]);
+  sim.api.addPull(['project1', 'synchronous', 'v1.1.0']); // not approved
+
+  const failed = await sim.runAction();
+  assert.strictEqual(failed, undefined);
+
+  const [create] = sim.api.called('pulls.create');
+  assert.match(create.body, new RegExp(`Release v1.0.0 from pull request #${first.number} \\(approved\\)`));
+});
+
+test('request notes when there is no previous review to compare', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+
+  const failed = await sim.runAction();
+  assert.strictEqual(failed, undefined);
+
+  const [create] = sim.api.called('pulls.create');
+  assert.match(create.body, /#### Changes Since Previous Review\n\nN\/A \(no previous code review request for this project\)/);
+});
+
+test('request continues when the previous release cannot be compared', async t => {
+  const sim = simulate(t).qualify('v1.1.0');
+  sim.api.addPull(['project1', 'synchronous', 'v1.0.0']); // tag does not exist
+
+  const failed = await sim.runAction();
+  assert.strictEqual(failed, undefined);
+
+  const [create] = sim.api.called('pulls.create');
+  assert.match(create.body, /N\/A \(unable to compare with the previous code review\)/);
+  assert.match(sim.log, /Unable to compare with the previous code review/);
+});
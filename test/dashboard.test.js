@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { DateTime } = require('luxon');
+
+const FakeOctokit = require('./fake-octokit.js');
+const dashboard = require('../dashboard.js');
+const utils = require('../utils.js');
+
+const config = {zone: 'America/Los_Angeles', regex: /^v([1-4])\.(\d+)\.(\d+)$/};
+const now = DateTime.fromISO('2021-09-27T12:00:00', {zone: config.zone}); // a monday
+
+/*
+ * Routes api calls for each repository of the organization to its own fake
+ * client.
+ */
+function organization(repos) {
+  const org = new FakeOctokit('course', 'unused');
+  org.repositories = Object.keys(repos).concat(['project-old-archived', 'website']);
+
+  const route = (group, name) => params => repos[params.repo][group][name](params);
+
+  return {
+    repos: {listForOrg: org.repos.listForOrg},
+    pulls: {list: route('pulls', 'list'), listReviews: route('pulls', 'listReviews')},
+    issues: {listEvents: route('issues', 'listEvents')},
+    paginate: (method, params) => org.paginate(method, params)
+  };
+}
+
+function student(login, pulls) {
+  const api = new FakeOctokit('course', `project-${login}`);
+
+  for (const [labels, options, reviews] of pulls) {
+    const pull = api.addPull(labels, Object.assign({assignees: [{login: login}]}, options));
+    api.reviews[pull.number] = reviews || [];
+  }
+
+  return api;
+}
+
+async function gather() {
+  const octokit = organization({
+    'project-alice': student('alice', [
+      [['project1', 'synchronous', 'v1.0.0'], {}, [{state: 'CHANGES_REQUESTED'}]],
+      [['project1', 'synchronous', 'v1.1.0'], {state: 'open', closed_at: null, created_at: '2021-09-20T10:00:00-07:00'}]
+    ]),
+    'project-bob': student('bob', [
+      [['project1', 'asynchronous', 'v1.0.2'], {state: 'open', draft: true, closed_at: null, created_at: '2021-09-24T10:00:00-07:00'}],
+      [['other'], {}]
+    ])
+  });
+
+  const repos = await dashboard.listRepositories(octokit, 'course', 'project-');
+  return dashboard.gather(octokit, 'course', repos, config, now);
+}
+
+test('business days skip weekends', () => {
+  const friday = DateTime.fromISO('2021-09-24T10:00:00', {zone: config.zone});
+
+  assert.strictEqual(utils.businessDays(friday, friday.plus({hours: 5})), 0);
+  assert.strictEqual(utils.businessDays(friday, friday.plus({days: 2})), 0);
+  assert.strictEqual(utils.businessDays(friday, friday.plus({days: 3})), 1);
+  assert.strictEqual(utils.businessDays(friday, friday.plus({days: 7})), 5);
+});
+
+test('dashboard gathers review requests from every student repository', async () => {
+  const requests = await gather();
+
+  assert.deepStrictEqual(requests.map(x => [x.repo, x.student, x.version, x.status]), [
+    ['project-alice', 'alice', 'v1.0.0', 'closed'],
+    ['project-alice', 'alice', 'v1.1.0', 'ready'],
+    ['project-bob', 'bob', 'v1.0.2', 'draft']
+  ]);
+
+  assert.strictEqual(requests[1].waiting, 5);
+  assert.strictEqual(requests[2].waiting, 1);
+  assert.strictEqual(requests[2].type, 'asynchronous');
+});
+
+test('dashboard waits from the last ready for review event without holidays', async () => {
+  const alice = student('alice', [
+    [['project1', 'synchronous', 'v1.1.0'], {state: 'open', closed_at: null, created_at: '2021-09-20T10:00:00-07:00'}]
+  ]);
+
+  // marked ready on wednesday, with friday off
+  alice.events[alice.pullData[0].number] = [{event: 'ready_for_review', created_at: '2021-09-22T10:00:00-07:00'}];
+
+  const octokit = organization({'project-alice': alice});
+  const settings = Object.assign({reminders: {holidays: ['2021-09-24']}}, config);
+  const [request] = await dashboard.gather(octokit, 'course', ['project-alice'], settings, now);
+
+  assert.strictEqual(request.status, 'ready');
+  assert.strictEqual(request.waiting, 2);
+});
+
+test('dashboard counts requests and reviews per student', async () => {
+  const students = dashboard.summarize(await gather());
+
+  assert.deepStrictEqual(students, [
+    {student: 'alice', repo: 'project-alice', requests: 2, open: 1, reviewed: 1, approvals: 0},
+    {student: 'bob', repo: 'project-bob', requests: 1, open: 1, reviewed: 0, approvals: 0}
+  ]);
+});
+
+test('dashboard formats markdown, html, and csv reports', async () => {
+  const requests = await gather();
+
+  const markdown = dashboard.format(requests, 'markdown', 'course', now);
+  assert.match(markdown, /^# Code Review Dashboard for course/);
+  assert.match(markdown, /## Ready for Review \(1\)\n\n\| Request \|.*\n.*\n\| \[project-alice#2\]\(.*\/pull\/2\) \| alice \| 1 \| synchronous \| v1.1.0 \| 2021-09-20 \| 5 \| 0 \|/);
+  assert.match(markdown, /## Pending Drafts \(1\)/);
+  assert.match(markdown, /## Students \(2\)/);
+
+  const html = dashboard.format(requests, 'html', 'course', now);
+  assert.match(html, /<h2>Closed Requests \(1\)<\/h2>/);
+  assert.match(html, /<td><a href=".*\/pull\/1">project-alice#1<\/a><\/td>/);
+
+  const csv = dashboard.format(requests, 'csv', 'course', now).trim().split('\n');
+  assert.strictEqual(csv[0], 'repo,number,url,student,project,type,version,status,created,closed,waiting,approvals');
+  assert.strictEqual(csv.length, 4);
+  assert.match(csv[3], /^project-bob,1,.*,bob,1,asynchronous,v1.0.2,draft,2021-09-24T10:00:00.000-07:00,,1,0$/);
+});
+
+test('dashboard command requires a token', () => {
+  const cli = path.join(__dirname, '..', 'cli.js');
+  const env = {PATH: process.env.PATH};
+
+  const missing = spawnSync(process.execPath, [cli, 'dashboard', 'course'], {env: env, encoding: 'utf8', timeout: 60000});
+  assert.strictEqual(missing.status, 1);
+  assert.match(missing.stdout, /Set the GITHUB_TOKEN environment variable/);
+
+  const invalid = spawnSync(process.execPath, [cli, 'dashboard', 'course', '--dir', '.'], {env: env, encoding: 'utf8', timeout: 60000});
+  assert.strictEqual(invalid.status, 2);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+
+const diagnostics = require('../diagnostics.js');
+
+test('parses javac diagnostics from maven output', () => {
+  const base = os.tmpdir();
+  const file = path.join(base, 'src/main/java/Index.java');
+
+  const output = [
+    '[INFO] Compiling 2 source files',
+    `[WARNING] ${file}:[12,5] [rawtypes] found raw type: List`,
+    `[WARNING] ${file}:[20,3] no comment`,
+    '[ERROR] COMPILATION ERROR : ',
+    `[ERROR] ${file}:[12,5] [rawtypes] found raw type: List`,
+    '[ERROR] /elsewhere/Other.java:[1,1] cannot find symbol',
+    '[INFO] BUILD FAILURE'
+  ].join('\n');
+
+  assert.deepStrictEqual(diagnostics.parseMaven(output, base), [
+    {file: 'src/main/java/Index.java', line: 12, column: 5, category: 'rawtypes', message: 'found raw type: List', level: 'error'},
+    {file: 'src/main/java/Index.java', line: 20, column: 3, category: 'javac', message: 'no comment', level: 'warning'},
+    {file: '/elsewhere/Other.java', line: 1, column: 1, category: 'javac', message: 'cannot find symbol', level: 'error'}
+  ]);
+});
+
+test('ignores output without diagnostics', () => {
+  assert.deepStrictEqual(diagnostics.parseMaven('[INFO] BUILD SUCCESS\n[WARNING] Using platform encoding', os.tmpdir()), []);
+});
@@ -0,0 +1,288 @@
+const test = require('node:test');
+const assert = require('assert');
+
+const { simulate } = require('./harness.js');
+const eligibility = require('../eligibility.js');
+
+test('default rules are functionality, design, open pull requests, sequence, and async approval', () => {
+  const rules = eligibility.getRules({}, 1);
+  assert.deepStrictEqual(Object.keys(rules), ['functionality', 'design', 'open-pull', 'sequence', 'async-approval']);
+  assert.strictEqual(rules['async-approval'].label, 'async-approved');
+});
+
+test('project rules override course rules', () => {
+  const config = {
+    eligibility: {
+      rules: {'min-days': {days: 3}, 'design': 'off'},
+      projects: {2: {'min-days': {days: 5}, 'design': 'on'}}
+    }
+  };
+
+  const first = eligibility.getRules(config, 1);
+  assert.strictEqual(first['min-days'].days, 3);
+  assert.ok(!('design' in first));
+
+  const second = eligibility.getRules(config, 2);
+  assert.strictEqual(second['min-days'].days, 5);
+  assert.ok('design' in second);
+});
+
+test('validation reports unknown rules and bad options', () => {
+  const problems = eligibility.validate({
+    rules: {'bogus': 'on', 'min-days': {}},
+    projects: {4: {'max-reviews': {max: 2, deadline: 'soon'}}}
+  });
+
+  assert.strictEqual(problems.length, 3);
+  assert.match(problems[0], /"eligibility.rules.bogus" is not a known rule/);
+  assert.match(problems[1], /"eligibility.rules.min-days.days"/);
+  assert.match(problems[2], /"eligibility.projects.4.max-reviews.deadline"/);
+});
+
+test('messages replace placeholders with values', () => {
+  const message = eligibility.formatMessage('Wait {{days}} days for project {{ project }}{{missing}}.', {days: 3, project: 1});
+  assert.strictEqual(message, 'Wait 3 days for project 1{{missing}}.');
+});
+
+test('setup reports every failed eligibility rule together', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.functionality.locked = false;
+  const design = sim.api.addApproved(['project1', 'design']);
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Unable to detect approved functionality issue for project 1/);
+  assert.match(failed, new RegExp(`Detected approved design issue #${design.number} for project 1`));
+});
+
+test('setup rejects a request too soon after the last review', async t => {
+  const sim = simulate(t).qualify('v1.1.0');
+  sim.configure({eligibility: {rules: {'min-days': {days: 3}}}});
+  const pull = sim.api.addPull(['project1', 'synchronous'], {created_at: new Date().toISOString()});
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, new RegExp(`Only 0 days passed since code review request #${pull.number} for project 1. Please wait at least 3 days`));
+});
+
+test('setup allows a request after the minimum days', async t => {
+  const sim = simulate(t).qualify('v1.1.0');
+  sim.configure({eligibility: {rules: {'min-days': {days: 3}}}});
+  sim.api.addPull(['project1', 'synchronous', 'v1.0.0'], {created_at: '2021-09-01T18:30:00Z'});
+
+  const failed = await sim.runPhase('setup.js');
+  assert.strictEqual(failed, undefined);
+});
+
+test('setup rejects too many reviews before the design deadline', async t => {
+  const sim = simulate(t).qualify('v1.2.0');
+  sim.configure({eligibility: {projects: {1: {'max-reviews': {max: 2, deadline: '2999-12-10'}}}}});
+  sim.api.addPull(['project1', 'synchronous']);
+  sim.api.addPull(['project1', 'asynchronous']);
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Detected 2 code review requests for project 1, which is the maximum of 2 before the design deadline on 2999-12-10/);
+});
+
+test('setup allows any number of reviews after the design deadline', async t => {
+  const sim = simulate(t).qualify('v1.2.0');
+  sim.configure({eligibility: {projects: {1: {'max-reviews': {max: 2, deadline: '2021-12-10'}}}}});
+  sim.api.addPull(['project1', 'synchronous', 'v1.0.0']);
+  sim.api.addPull(['project1', 'asynchronous', 'v1.1.0']);
+
+  const failed = await sim.runPhase('setup.js');
+  assert.strictEqual(failed, undefined);
+});
+
+test('setup rejects a release that skips completed reviews', async t => {
+  const sim = simulate(t).qualify('v1.2.0');
+  sim.configure({eligibility: {rules: {'review-count': 'on'}}});
+
+  const reviewed = sim.api.addPull(['project1', 'synchronous']);
+  sim.api.reviews[reviewed.number] = [{state: 'CHANGES_REQUESTED'}];
+  sim.api.addPull(['project1', 'synchronous']); // closed without review
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Release v1.2.0 is for code review 2, but 1 code reviews happened for project 1 so far. Please create a v1.1.X release instead./);
+});
+
+test('setup allows a release matching completed reviews', async t => {
+  const sim = simulate(t).qualify('v1.1.0');
+  sim.configure({eligibility: {rules: {'review-count': 'on'}}});
+
+  const reviewed = sim.api.addPull(['project1', 'synchronous', 'v1.0.0']);
+  sim.api.reviews[reviewed.number] = [{state: 'APPROVED'}];
+
+  const failed = await sim.runPhase('setup.js');
+  assert.strictEqual(failed, undefined);
+});
+
+test('setup counts reviews past the first page of reviews', async t => {
+  const sim = simulate(t).qualify('v1.2.0');
+  sim.configure({eligibility: {rules: {'review-count': 'on'}}});
+
+  const reviewed = sim.api.addPull(['project1', 'synchronous', 'v1.0.0']);
+  sim.api.reviews[reviewed.number] = new Array(30).fill({state: 'COMMENTED'}).concat([{state: 'APPROVED'}]);
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /but 1 code reviews happened for project 1 so far/);
+});
+
+test('setup rejects a release already requested for code review', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  const pull = sim.api.addPull(['project1', 'synchronous', 'v1.0.0']);
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, new RegExp(`Release v1.0.0 is out of sequence for project 1 because it was already requested for code review in pull request #${pull.number}. Please create release v1.0.1 or v1.1.0 instead.`));
+});
+
+test('setup rejects a release that goes backwards', async t => {
+  const sim = simulate(t).qualify('v1.0.5');
+  sim.api.addRelease('v1.1.0', {created_at: '2021-09-01T18:30:00Z'});
+  sim.api.addPull(['project1', 'synchronous', 'v1.0.3']);
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Release v1.0.5 is out of sequence for project 1 because it comes before release v1.1.0. Please create release v1.1.1 instead./);
+});
+
+test('setup rejects a release that skips a review number', async t => {
+  const sim = simulate(t).qualify('v1.2.0');
+  sim.api.addPull(['project1', 'synchronous', 'v1.0.0']);
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /because there is no code review request for v1.1.X yet. Please create release v1.0.1 or v1.1.0 instead./);
+});
+
+test('setup rejects a first code review that is not for review 0', async t => {
+  const sim = simulate(t).qualify('v1.1.0');
+  sim.api.addRelease('v1.0.2', {created_at: '2021-09-01T18:30:00Z'});
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /because there is no code review request for v1.0.X yet. Please create release v1.0.3 instead./);
+});
+
+test('setup ignores other projects and later releases for the sequence', async t => {
+  const sim = simulate(t).qualify('v1.1.0');
+  sim.api.addRelease('v2.3.0', {created_at: '2021-09-01T18:30:00Z'});
+  sim.api.addRelease('v1.4.0', {created_at: '2021-09-30T18:30:00Z'});
+  sim.api.addPull(['project2', 'synchronous', 'v2.2.0']);
+  sim.api.addPull(['project1', 'synchronous', 'v1.0.4']);
+
+  const failed = await sim.runPhase('setup.js');
+  assert.strictEqual(failed, undefined);
+});
+
+test('setup rejects asynchronous requests without pre-approval', async t => {
+  const sim = simulate(t, {inputs: {type: 'asynchronous'}}).qualify('v1.0.0');
+  sim.configure({eligibility: {rules: {'async-approval': {students: ['someone']}}}});
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Asynchronous code reviews for project 1 require instructor pre-approval, which was not found for student/);
+});
+
+test('setup allows asynchronous requests from pre-approved students', async t => {
+  const sim = simulate(t, {inputs: {type: 'asynchronous'}}).qualify('v1.0.0');
+  sim.configure({eligibility: {rules: {'async-approval': {students: ['Student']}}}});
+
+  const failed = await sim.runPhase('setup.js');
+  assert.strictEqual(failed, undefined);
+});
+
+test('setup uses configured rule messages', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.configure({eligibility: {rules: {'open-pull': {message: 'Close #{{number}} first ({{login}}).'}}}});
+  const pull = sim.api.addPull(['project1', 'synchronous'], {state: 'open'});
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, new RegExp(`Close #${pull.number} first \\(student\\)\\.`));
+});
+
+test('setup allows asynchronous requests approved in the approval file', async t => {
+  const sim = simulate(t, {inputs: {type: 'asynchronous'}}).qualify('v2.0.0');
+  sim.configure({eligibility: {rules: {'async-approval': {file: {repository: 'usf-cs272-fall2021/roster', path: 'async.yml'}}}}});
+  sim.api.contents['usf-cs272-fall2021/roster/async.yml'] = '1: [other]\n2: [student]\n';
+
+  const failed = await sim.runPhase('setup.js');
+  assert.strictEqual(failed, undefined);
+  assert.strictEqual(sim.states.type, 'Asynchronous');
+  assert.strictEqual(sim.states.approval, 'usf-cs272-fall2021/roster/async.yml');
+});
+
+test('setup rejects asynchronous requests approved for another project in the approval file', async t => {
+  const sim = simulate(t, {inputs: {type: 'asynchronous'}}).qualify('v1.0.0');
+  sim.configure({eligibility: {rules: {'async-approval': {file: {repository: 'usf-cs272-fall2021/roster', path: 'async.yml'}}}}});
+  sim.api.contents['usf-cs272-fall2021/roster/async.yml'] = '1: [other]\n2: [student]\n';
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /require instructor pre-approval/);
+});
+
+test('setup falls back to other approvals when the approval file is unavailable', async t => {
+  const sim = simulate(t, {inputs: {type: 'asynchronous'}}).qualify('v1.0.0');
+  sim.configure({eligibility: {rules: {'async-approval': {downgrade: true, file: {repository: 'usf-cs272-fall2021/roster', path: 'async.yml'}}}}});
+
+  const failed = await sim.runPhase('setup.js');
+  assert.strictEqual(failed, undefined);
+  assert.strictEqual(sim.states.type, 'Synchronous');
+  assert.match(sim.log, /Unable to read asynchronous code review approvals from usf-cs272-fall2021\/roster\/async.yml \(Not Found\)/);
+});
+
+test('setup allows asynchronous requests approved with a functionality issue label', async t => {
+  const sim = simulate(t, {inputs: {type: 'asynchronous'}}).qualify('v1.0.0');
+  sim.functionality.labels.push({name: 'async-approved'});
+  sim.api.events[sim.functionality.number] = [{event: 'labeled', label: {name: 'async-approved'}, actor: {login: 'mtquach2'}}];
+
+  const failed = await sim.runPhase('setup.js');
+  assert.strictEqual(failed, undefined);
+  assert.strictEqual(sim.states.approval, `the async-approved label on issue #${sim.functionality.number}`);
+});
+
+test('setup ignores approval labels added by students', async t => {
+  const sim = simulate(t, {inputs: {type: 'asynchronous'}}).qualify('v1.0.0');
+  sim.functionality.labels.push({name: 'async-approved'});
+  sim.api.events[sim.functionality.number] = [
+    {event: 'labeled', label: {name: 'async-approved'}, actor: {login: 'mtquach2'}},
+    {event: 'unlabeled', label: {name: 'async-approved'}, actor: {login: 'mtquach2'}},
+    {event: 'labeled', label: {name: 'async-approved'}, actor: {login: 'student'}}
+  ];
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /require instructor pre-approval, which was not found for student/);
+  assert.match(sim.log, /Ignoring async-approved label on issue #\d+ not added by an instructor/);
+});
+
+test('setup allows asynchronous requests approved by an instructor comment', async t => {
+  const sim = simulate(t, {inputs: {type: 'asynchronous'}}).qualify('v1.0.0');
+  const issue = sim.functionality.number;
+
+  sim.api.comments.push({issue_number: issue, user: {login: 'student'}, body: 'Approved for asynchronous reviews please?'});
+  sim.api.comments.push({issue_number: issue, user: {login: 'mtquach2'}, body: 'You are approved for asynchronous code reviews.'});
+
+  const failed = await sim.runPhase('setup.js');
+  assert.strictEqual(failed, undefined);
+  assert.strictEqual(sim.states.approval, `the instructor comment on issue #${issue}`);
+});
+
+test('setup ignores approval comments from students', async t => {
+  const sim = simulate(t, {inputs: {type: 'asynchronous'}}).qualify('v1.0.0');
+  sim.api.comments.push({issue_number: sim.functionality.number, user: {login: 'student'}, body: 'Approved for asynchronous reviews.'});
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /require instructor pre-approval, which was not found for student/);
+});
+
+test('setup downgrades unapproved asynchronous requests when configured', async t => {
+  const sim = simulate(t, {inputs: {type: 'asynchronous'}}).qualify('v1.0.0');
+  sim.configure({eligibility: {rules: {'async-approval': {downgrade: true}}}});
+
+  const failed = await sim.runAction();
+  assert.strictEqual(failed, undefined);
+  assert.strictEqual(sim.states.type, 'Synchronous');
+
+  const notice = sim.annotations.find(x => x[0] === 'notice' && /Changed the request to a synchronous code review/.test(x[1]));
+  assert.ok(notice);
+
+  const create = sim.api.called('pulls.create')[0];
+  assert.match(create.title, /Synchronous Code Review/);
+
+  const comment = sim.api.called('issues.createComment')[0];
+  assert.match(comment.body, /Changed the request to a synchronous code review instead. Close this request/);
+});
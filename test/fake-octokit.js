@@ -0,0 +1,514 @@
+/*
+ * In-memory stand-in for the Octokit client returned by github.getOctokit().
+ * Serves the releases, workflow runs, issues, milestones, and pull requests
+ * of a single repository and records every call for later assertions.
+ *
+ * Failures are injected per method with fail(), either as a non-success status
+ * in the result (the default) or as a thrown error like the real client, and
+ * either every time (the default) or only the given number of times.
+ */
+class FakeOctokit {
+  constructor(owner, repo) {
+    this.owner = owner;
+    this.repo = repo;
+
+    this.releases = [];
+    this.runs = [];
+    this.repositories = []; // names of the repositories in the organization
+    this.tags = {};       // tag name to commit sha (or {sha, annotated})
+    this.statuses = {};   // commit sha to list of commit statuses
+    this.issueData = [];  // includes pull requests, as in the issues api
+    this.milestones = [];
+    this.pullData = [];
+    this.reviews = {};    // pull number to list of reviews
+    this.reviewComments = {}; // pull number to list of inline review comments
+    this.comments = [];
+    this.events = {};     // issue number to list of issue events
+    this.contents = {};   // owner/repo/path to text of files in other repositories
+    this.reviewData = []; // reviews created through the api
+    this.openReviews = {}; // login to open reviews in other course repositories
+
+    this.calls = [];      // [method, params] in order of calls
+    this.failures = {};   // method to {status, throws, times}
+    this.counter = 0;     // shared issue and pull request numbers
+
+    this.onDeleteRef = () => {}; // called with the branch name when deleted
+    this.remaining = 5000;       // rate limit quota reported in the headers
+    this.wrapper = undefined;    // request hook installed with hook.wrap()
+
+    this.hook = {
+      wrap: (name, wrapper) => { this.wrapper = wrapper; }
+    };
+
+    this.repos = {
+      getReleaseByTag: params => this.handle('repos.getReleaseByTag', params, 200, () => {
+        const found = this.releases.find(x => x.tag_name === params.tag);
+        return found === undefined ? this.error(404, 'Not Found') : found;
+      }),
+
+      listForOrg: params => this.handle('repos.listForOrg', params, 200, () => {
+        return paged(this.repositories.map(name => ({name: name, archived: name.endsWith('-archived')})), params);
+      }),
+
+      listReleases: params => this.handle('repos.listReleases', params, 200, () => {
+        return paged(this.releases, params);
+      }),
+
+      getCombinedStatusForRef: params => this.handle('repos.getCombinedStatusForRef', params, 200, () => {
+        const statuses = this.statuses[params.ref] || [];
+        const state = statuses.length > 0 && statuses.every(x => x.state === 'success') ? 'success' : 'pending';
+
+        return {state: state, sha: params.ref, total_count: statuses.length, statuses: statuses};
+      }),
+
+      getContent: params => this.handle('repos.getContent', params, 200, () => {
+        const text = this.contents[`${params.owner}/${params.repo}/${params.path}`];
+
+        if (text === undefined) {
+          this.error(404, 'Not Found');
+        }
+
+        return {path: params.path, encoding: 'base64', content: Buffer.from(text).toString('base64')};
+      })
+    };
+
+    this.actions = {
+      listWorkflowRuns: params => this.handle('actions.listWorkflowRuns', params, 200, () => {
+        const runs = this.runs.filter(x =>
+          (!params.event || x.event === params.event) &&
+          (!params.branch || x.head_branch === params.branch) &&
+          (!params.head_sha || x.head_sha === params.head_sha));
+
+        return {total_count: runs.length, workflow_runs: paged(runs, params)};
+      })
+    };
+
+    this.search = {
+      issuesAndPullRequests: params => this.handle('search.issuesAndPullRequests', params, 200, () => {
+        const login = params.q.match(/review-requested:(\S+)/)[1];
+        const open = this.pullData.filter(x => x.state === 'open' &&
+          (x.requested_reviewers || []).some(y => y.login === login));
+
+        return {total_count: open.length + (this.openReviews[login] || 0), items: paged(open, params)};
+      })
+    };
+
+    this.issues = {
+      listForRepo: params => this.handle('issues.listForRepo', params, 200, () => {
+        const labels = params.labels ? params.labels.split(',') : [];
+
+        return paged(this.issueData.filter(x =>
+          (params.state === 'all' || x.state === (params.state || 'open')) &&
+          labels.every(label => x.labels.some(y => y.name === label))), params);
+      }),
+
+      listMilestones: params => this.handle('issues.listMilestones', params, 200, () => {
+        return paged(this.milestones.filter(x => params.state === 'all' || x.state === (params.state || 'open')), params);
+      }),
+
+      createMilestone: params => this.handle('issues.createMilestone', params, 201, () => {
+        const milestone = {
+          number: this.milestones.length + 1,
+          title: params.title,
+          state: params.state || 'open',
+          description: params.description
+        };
+
+        this.milestones.push(milestone);
+        return milestone;
+      }),
+
+      create: params => this.handle('issues.create', params, 201, () => {
+        return this.addIssue(params.labels || [], {
+          title: params.title,
+          body: params.body,
+          milestone: this.milestones.find(x => x.number === params.milestone)
+        });
+      }),
+
+      updateMilestone: params => this.handle('issues.updateMilestone', params, 200, () => {
+        const milestone = this.milestones.find(x => x.number === params.milestone_number);
+
+        if (milestone === undefined) {
+          this.error(404, 'Not Found');
+        }
+
+        milestone.state = params.state || milestone.state;
+        return milestone;
+      }),
+
+      update: params => this.handle('issues.update', params, 200, () => {
+        const issue = this.findIssue(params.issue_number);
+
+        if ('state' in params) {
+          issue.state = params.state;
+        }
+
+        if ('labels' in params) {
+          issue.labels = params.labels.map(name => ({name: name}));
+        }
+
+        if ('milestone' in params) {
+          issue.milestone = this.milestones.find(x => x.number === params.milestone);
+        }
+
+        if ('assignees' in params) {
+          issue.assignees = params.assignees.map(login => ({login: login}));
+        }
+
+        this.syncPull(issue);
+        return issue;
+      }),
+
+      addLabels: params => this.handle('issues.addLabels', params, 200, () => {
+        const issue = this.findIssue(params.issue_number);
+        const names = issue.labels.map(x => x.name);
+
+        issue.labels = issue.labels.concat(params.labels.filter(x => !names.includes(x)).map(name => ({name: name})));
+        this.syncPull(issue);
+        return issue.labels;
+      }),
+
+      lock: params => this.handle('issues.lock', params, 204, () => {
+        const issue = this.findIssue(params.issue_number);
+        issue.locked = true;
+        issue.active_lock_reason = params.lock_reason;
+        this.syncPull(issue);
+      }),
+
+      listEvents: params => this.handle('issues.listEvents', params, 200, () => {
+        return paged(this.events[params.issue_number] || [], params);
+      }),
+
+      // issue events followed by comments, as commented events
+      listEventsForTimeline: params => this.handle('issues.listEventsForTimeline', params, 200, () => {
+        const comments = this.comments.filter(x => x.issue_number === params.issue_number)
+          .map(x => Object.assign({event: 'commented'}, x));
+
+        return paged((this.events[params.issue_number] || []).concat(comments), params);
+      }),
+
+      listComments: params => this.handle('issues.listComments', params, 200, () => {
+        return paged(this.comments.filter(x => x.issue_number === params.issue_number), params);
+      }),
+
+      createComment: params => this.handle('issues.createComment', params, 201, () => {
+        const comment = {
+          id: this.comments.length + 1,
+          issue_number: params.issue_number,
+          user: {login: 'github-actions[bot]'},
+          body: params.body,
+          html_url: `${this.url()}/issues/${params.issue_number}#issuecomment-${this.comments.length + 1}`
+        };
+
+        this.comments.push(comment);
+        return comment;
+      })
+    };
+
+    this.git = {
+      getRef: params => this.handle('git.getRef', params, 200, () => {
+        const tag = this.tags[params.ref.replace(/^tags\//, '')];
+
+        if (tag === undefined) {
+          this.error(404, 'Not Found');
+        }
+
+        // annotated tags point to a tag object instead of the commit
+        const object = tag.annotated ? {type: 'tag', sha: `tag-${tag.sha}`} : {type: 'commit', sha: tag.sha || tag};
+        return {ref: `refs/${params.ref}`, object: object};
+      }),
+
+      getTag: params => this.handle('git.getTag', params, 200, () => {
+        return {sha: params.tag_sha, object: {type: 'commit', sha: params.tag_sha.replace(/^tag-/, '')}};
+      }),
+
+      deleteRef: params => this.handle('git.deleteRef', params, 204, () => {
+        this.onDeleteRef(params.ref.replace(/^heads\//, ''));
+      })
+    };
+
+    this.pulls = {
+      list: params => this.handle('pulls.list', params, 200, () => {
+        return paged(this.pullData.filter(x => params.state === 'all' || x.state === (params.state || 'open')), params);
+      }),
+
+      create: params => this.handle('pulls.create', params, 201, () => {
+        const number = ++this.counter;
+
+        const pull = {
+          number: number,
+          title: params.title,
+          body: params.body,
+          state: 'open',
+          draft: !!params.draft,
+          head: {ref: params.head},
+          base: {ref: params.base},
+          labels: [],
+          html_url: `${this.url()}/pull/${number}`,
+          created_at: new Date().toISOString(),
+          closed_at: null
+        };
+
+        this.pullData.push(pull);
+        this.issueData.push(this.toIssue(pull));
+        return pull;
+      }),
+
+      update: params => this.handle('pulls.update', params, 200, () => {
+        const pull = this.pullData.find(x => x.number === params.pull_number);
+
+        if (pull === undefined) {
+          this.error(404, 'Not Found');
+        }
+
+        if (params.state) {
+          pull.state = params.state;
+          pull.closed_at = params.state === 'closed' ? new Date().toISOString() : null;
+          this.findIssue(pull.number).state = pull.state;
+        }
+
+        return pull;
+      }),
+
+      createReview: params => this.handle('pulls.createReview', params, 200, () => {
+        const review = {
+          id: this.reviewData.length + 1,
+          pull_number: params.pull_number,
+          event: params.event,
+          body: params.body
+        };
+
+        this.reviewData.push(review);
+        return review;
+      }),
+
+      listReviews: params => this.handle('pulls.listReviews', params, 200, () => {
+        return paged(this.reviews[params.pull_number] || [], params);
+      }),
+
+      listReviewComments: params => this.handle('pulls.listReviewComments', params, 200, () => {
+        return paged(this.reviewComments[params.pull_number] || [], params);
+      }),
+
+      requestReviewers: params => this.handle('pulls.requestReviewers', params, 201, () => {
+        const pull = this.pullData.find(x => x.number === params.pull_number);
+        pull.requested_reviewers = params.reviewers.map(login => ({login: login}));
+        return pull;
+      })
+    };
+  }
+
+  url() {
+    return `https://github.com/${this.owner}/${this.repo}`;
+  }
+
+  /*
+   * Records the call and either returns the injected failure or the result of
+   * the handler wrapped as a successful response. Passes through the request
+   * hook (if any) like the real client, so retries are recorded as calls.
+   */
+  async handle(method, params, status, handler) {
+    const request = async () => {
+      this.calls.push([method, params]);
+
+      const headers = {
+        'x-ratelimit-limit': '5000',
+        'x-ratelimit-remaining': String(Math.max(0, --this.remaining)),
+        'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 3600)
+      };
+
+      if (method in this.failures) {
+        const failure = this.failures[method];
+
+        // transient failures only happen the given number of times
+        if (failure.times !== undefined && --failure.times <= 0) {
+          delete this.failures[method];
+        }
+
+        if (failure.throws) {
+          this.error(failure.status, failure.message || 'Injected Failure', Object.assign(headers, failure.headers));
+        }
+
+        return {status: failure.status, headers: headers, data: {message: failure.message || 'Injected Failure'}};
+      }
+
+      return {status: status, headers: headers, data: handler()};
+    };
+
+    if (this.wrapper === undefined) {
+      return request();
+    }
+
+    const verb = /\.(list|get)/.test(method) ? 'GET' : 'POST';
+    return this.wrapper(request, Object.assign({}, params, {method: verb, url: method}));
+  }
+
+  /*
+   * Fetches every page like octokit.paginate(), throwing on unsuccessful
+   * responses like the real client.
+   */
+  async paginate(method, params) {
+    const results = [];
+    const size = params.per_page || 30;
+
+    for (let page = 1; ; page++) {
+      const response = await method(Object.assign({}, params, {page: page, per_page: size}));
+
+      if (response.status < 200 || response.status >= 300) {
+        this.error(response.status, response.data.message);
+      }
+
+      const data = Array.isArray(response.data) ? response.data : response.data.workflow_runs;
+      results.push(...data);
+
+      if (data.length < size) {
+        return results;
+      }
+    }
+  }
+
+  error(status, message, headers = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.response = {status: status, headers: headers};
+    throw error;
+  }
+
+  fail(method, status, options = {}) {
+    this.failures[method] = Object.assign({status: status}, options);
+    return this;
+  }
+
+  called(method) {
+    return this.calls.filter(x => x[0] === method).map(x => x[1]);
+  }
+
+  findIssue(number) {
+    const found = this.issueData.find(x => x.number === number);
+    return found === undefined ? this.error(404, 'Not Found') : found;
+  }
+
+  // keeps the pull request and its issue representation consistent
+  syncPull(issue) {
+    const pull = this.pullData.find(x => x.number === issue.number);
+
+    if (pull !== undefined) {
+      pull.labels = issue.labels;
+      pull.milestone = issue.milestone;
+      pull.assignees = issue.assignees;
+      pull.state = issue.state;
+    }
+  }
+
+  toIssue(pull) {
+    return {
+      number: pull.number,
+      state: pull.state,
+      locked: false,
+      active_lock_reason: null,
+      labels: pull.labels,
+      html_url: pull.html_url,
+      created_at: pull.created_at,
+      pull_request: {html_url: pull.html_url}
+    };
+  }
+
+  // FIXTURE HELPERS
+
+  addRelease(tag, options = {}) {
+    const release = Object.assign({
+      id: this.releases.length + 1,
+      tag_name: tag,
+      html_url: `${this.url()}/releases/tag/${tag}`,
+      created_at: '2021-09-20T18:30:00Z',
+      draft: false,
+      prerelease: false
+    }, options);
+
+    this.releases.push(release);
+    return release;
+  }
+
+  addRun(branch, options = {}) {
+    const id = 1000 + this.runs.length;
+
+    const run = Object.assign({
+      id: id,
+      run_number: this.runs.length + 1,
+      name: 'Run Tests',
+      event: 'release',
+      head_branch: branch,
+      head_sha: this.tags[branch] && (this.tags[branch].sha || this.tags[branch]),
+      status: 'completed',
+      conclusion: 'success',
+      html_url: `${this.url()}/actions/runs/${id}`
+    }, options);
+
+    this.runs.unshift(run); // most recent first
+    return run;
+  }
+
+  addIssue(labels, options = {}) {
+    const number = ++this.counter;
+
+    const issue = Object.assign({
+      number: number,
+      state: 'open',
+      locked: false,
+      active_lock_reason: null,
+      labels: labels.map(name => ({name: name})),
+      html_url: `${this.url()}/issues/${number}`
+    }, options);
+
+    this.issueData.push(issue);
+    return issue;
+  }
+
+  // adds a closed, locked, and resolved issue (how staff approve issues)
+  addApproved(labels, options = {}) {
+    return this.addIssue(labels, Object.assign({
+      state: 'closed', locked: true, active_lock_reason: 'resolved'
+    }, options));
+  }
+
+  addPull(labels, options = {}) {
+    const number = ++this.counter;
+
+    const pull = Object.assign({
+      number: number,
+      title: `Pull request ${number}`,
+      body: '',
+      state: 'closed',
+      draft: false,
+      labels: labels.map(name => ({name: name})),
+      html_url: `${this.url()}/pull/${number}`,
+      created_at: '2021-09-01T18:30:00Z',
+      closed_at: '2021-09-02T18:30:00Z'
+    }, options);
+
+    this.pullData.push(pull);
+    this.issueData.push(this.toIssue(pull));
+    return pull;
+  }
+
+  addMilestone(title, options = {}) {
+    const milestone = Object.assign({
+      number: this.milestones.length + 1,
+      title: title,
+      state: 'open'
+    }, options);
+
+    this.milestones.push(milestone);
+    return milestone;
+  }
+}
+
+// returns the page of the list requested by the page and per_page params
+function paged(list, params) {
+  const size = params.per_page || 30;
+  const page = params.page || 1;
+  return list.slice((page - 1) * size, page * size);
+}
+
+module.exports = FakeOctokit;
@@ -0,0 +1,17 @@
+/**
+ * Class responsible for running this project based on the provided
+ * command-line arguments.
+ */
+public class Driver {
+	/**
+	 * Initializes the classes necessary based on the provided command-line
+	 * arguments.
+	 *
+	 * @param args flag/value pairs used to start this program
+	 */
+	public static void main(String[] args) {
+		InvertedIndex index = new InvertedIndex();
+		index.add("hello", "hello.txt", 1);
+		System.out.println(index);
+	}
+}
@@ -0,0 +1,37 @@
+import java.util.Map;
+import java.util.Set;
+import java.util.TreeMap;
+import java.util.TreeSet;
+
+/**
+ * Stores the locations and positions of words.
+ */
+public class InvertedIndex {
+	/** Maps words to locations to positions. */
+	private final Map<String, Map<String, Set<Integer>>> index;
+
+	/**
+	 * Initializes an empty index.
+	 */
+	public InvertedIndex() {
+		this.index = new TreeMap<>();
+	}
+
+	/**
+	 * Adds the word, location, and position to the index.
+	 *
+	 * @param word the word to add
+	 * @param location the location the word was found
+	 * @param position the position the word was found
+	 */
+	public void add(String word, String location, int position) {
+		index.putIfAbsent(word, new TreeMap<>());
+		index.get(word).putIfAbsent(location, new TreeSet<>());
+		index.get(word).get(location).add(position);
+	}
+
+	@Override
+	public String toString() {
+		return index.toString();
+	}
+}
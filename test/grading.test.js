@@ -0,0 +1,208 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { Simulation } = require('./harness.js');
+const grading = require('../grading.js');
+
+const body = `
+## Student Information
+
+- **Full Name:** Sophie Engineer
+- **USF Email:** sengineer@usfca.edu
+`;
+
+/*
+ * Simulates a grading run triggered by an event on a new review pull request.
+ */
+function simulate(t, options = {}, reviews = [], event = 'pull_request_review') {
+  const sim = new Simulation({inputs: {mode: 'grading'}});
+  t.after(() => sim.cleanup());
+
+  const pull = sim.api.addPull(['project1', 'synchronous', 'v1.0.0'], Object.assign({
+    state: 'open',
+    closed_at: null,
+    body: body,
+    assignees: [{login: 'student'}]
+  }, options));
+
+  sim.api.reviews[pull.number] = reviews;
+  sim.event = {name: event, payload: {action: 'submitted', pull_request: pull}};
+  return sim;
+}
+
+const approved = {state: 'APPROVED', user: {login: 'mtquach2'}};
+const changes = {state: 'CHANGES_REQUESTED', user: {login: 'ybsolomon'}};
+
+test('validation reports invalid grading settings', () => {
+  assert.deepStrictEqual(grading.validate({file: 'grades/fall.json'}), []);
+  assert.strictEqual(grading.validate({file: 'grades.xlsx'}).length, 1);
+  assert.strictEqual(grading.validate('grades.csv').length, 1);
+});
+
+test('approved requests are labeled, locked, and exported', async t => {
+  const sim = simulate(t, {}, [changes, approved, Object.assign({}, approved, {user: {login: 'ybsolomon'}})]);
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(sim.outputs['result'], 'success');
+  assert.strictEqual(sim.outputs['outcome'], 'approved');
+
+  const [update] = sim.api.called('issues.update');
+  assert.deepStrictEqual(update.labels, ['project1', 'synchronous', 'v1.0.0', 'approved']);
+
+  const [lock] = sim.api.called('issues.lock');
+  assert.strictEqual(lock.lock_reason, 'resolved');
+
+  const rows = fs.readFileSync(path.join(sim.workspace, 'grades.csv'), 'utf8').trim().split('\n');
+  assert.strictEqual(rows[0], grading.fields.join(','));
+  assert.match(rows[1], /,student,Sophie Engineer,sengineer@usfca.edu,1,v1.0.0,synchronous,approved,ybsolomon$/);
+  assert.match(sim.readSummary(), /\| Sophie Engineer \(student\) \| 1 \| v1.0.0 \| approved \| ybsolomon \|/);
+});
+
+test('approved reviews finalize the project design and milestone', async t => {
+  const sim = simulate(t, {}, [approved]);
+  const milestone = sim.api.addMilestone('Project 1');
+  sim.api.addRelease('v1.0.0');
+
+  assert.strictEqual(await sim.runAction(), undefined);
+
+  const design = sim.api.issueData.find(x => x.number == sim.outputs['design-issue']);
+  assert.deepStrictEqual(design.labels.map(x => x.name), ['project1', 'design']);
+  assert.strictEqual(design.milestone, milestone);
+  assert.match(design.body, /\| \[#1\]\(.*\/pull\/1\) \| \[v1.0.0\]\(.*\) \| synchronous \| approved \|/);
+  assert.strictEqual(design.state, 'closed');
+  assert.strictEqual(design.active_lock_reason, 'resolved');
+  assert.strictEqual(milestone.state, 'closed');
+  assert.match(sim.readSummary(), /Project 1 finalized with approved \[design issue #\d+\]/);
+
+  // later requests are blocked by the approved design
+  const request = new Simulation();
+  t.after(() => request.cleanup());
+  request.api = sim.api;
+  request.qualify('v1.1.0');
+
+  assert.match(await request.runAction(), new RegExp(`Detected approved design issue #${design.number} for project 1`));
+});
+
+test('approvals by the student do not finalize the project', async t => {
+  const sim = simulate(t, {}, [{state: 'APPROVED', user: {login: 'student'}}]);
+  const milestone = sim.api.addMilestone('Project 1');
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(sim.outputs['design-issue'], undefined);
+  assert.strictEqual(sim.api.called('issues.create').length, 0);
+  assert.strictEqual(sim.api.called('issues.lock').length, 0);
+  assert.strictEqual(milestone.state, 'open');
+
+  const result = {outcome: 'approved', reviewer: 'student'};
+  const design = await grading.finalize(sim.api, {repo: {owner: sim.owner, repo: sim.repo}}, {reviewers: ['mtquach2']}, sim.api.pullData[0], result);
+  assert.strictEqual(design, undefined);
+  assert.strictEqual(sim.api.called('issues.create').length, 0);
+});
+
+test('projects with an approved design are not finalized again', async t => {
+  const sim = simulate(t, {}, [approved]);
+  sim.api.addApproved(['project1', 'design']);
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(sim.outputs['design-issue'], undefined);
+  assert.strictEqual(sim.api.called('issues.create').length, 0);
+  assert.strictEqual(sim.api.called('issues.updateMilestone').length, 0);
+});
+
+test('requested changes are labeled without locking', async t => {
+  const sim = simulate(t, {}, [approved, changes]);
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(sim.outputs['outcome'], 'changes-requested');
+  assert.strictEqual(sim.api.called('issues.lock').length, 0);
+  assert.strictEqual(sim.api.called('issues.create').length, 0);
+  assert.match(fs.readFileSync(path.join(sim.workspace, 'grades.csv'), 'utf8'), /,changes-requested,ybsolomon\n$/);
+});
+
+test('requests closed without approval are not approved', async t => {
+  const sim = simulate(t, {state: 'closed', labels: [{name: 'project1'}, {name: 'changes-requested'}]}, [changes], 'pull_request');
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(sim.outputs['outcome'], 'not-approved');
+  assert.deepStrictEqual(sim.api.called('issues.update')[0].labels, ['project1', 'not-approved']);
+  assert.strictEqual(sim.api.called('issues.lock').length, 1);
+});
+
+test('grades are exported to the configured json file', async t => {
+  const sim = simulate(t, {}, [approved]).configure({grading: {file: 'grades.json'}});
+
+  assert.strictEqual(await sim.runAction(), undefined);
+
+  const rows = JSON.parse(fs.readFileSync(path.join(sim.workspace, 'grades.json'), 'utf8'));
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].email, 'sengineer@usfca.edu');
+  assert.strictEqual(rows[0].outcome, 'approved');
+  assert.strictEqual(sim.outputs['grade-file'], path.join(sim.workspace, 'grades.json'));
+});
+
+test('grades are appended to an existing csv file', async t => {
+  const sim = simulate(t, {}, [approved]).configure({grading: {file: 'grades/fall.csv'}});
+  const file = path.join(sim.workspace, 'grades', 'fall.csv');
+
+  fs.mkdirSync(path.dirname(file));
+  fs.writeFileSync(file, `${grading.fields.join(',')}\nearlier row\n`);
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(sim.outputs['grade-file'], file);
+
+  const rows = fs.readFileSync(file, 'utf8').trim().split('\n');
+  assert.strictEqual(rows.length, 3);
+  assert.strictEqual(rows[1], 'earlier row');
+  assert.match(rows[2], /,student,Sophie Engineer,sengineer@usfca.edu,1,v1.0.0,synchronous,approved,mtquach2$/);
+});
+
+test('grades are appended to an existing json file', async t => {
+  const sim = simulate(t, {}, [approved]).configure({grading: {file: 'grades.json'}});
+  const file = path.join(sim.workspace, 'grades.json');
+  fs.writeFileSync(file, JSON.stringify([{login: 'earlier'}]));
+
+  assert.strictEqual(await sim.runAction(), undefined);
+
+  const rows = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepStrictEqual(rows.map(x => x.login), ['earlier', 'student']);
+});
+
+test('outcomes are only recorded once', async t => {
+  const sim = simulate(t, {labels: [{name: 'project1'}, {name: 'approved'}]}, [approved]);
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(sim.outputs['result'], 'skipped');
+  assert.strictEqual(sim.api.called('issues.update').length, 0);
+  assert.ok(!fs.existsSync(path.join(sim.workspace, 'grades.csv')));
+});
+
+test('requests without an outcome are skipped', async t => {
+  const sim = simulate(t, {}, [{state: 'COMMENTED', user: {login: 'mtquach2'}}]);
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(sim.outputs['result'], 'skipped');
+  assert.strictEqual(sim.outputs['outcome'], undefined);
+});
+
+test('approvals by the student and bots are ignored', async t => {
+  const sim = simulate(t, {}, [
+    {state: 'APPROVED', user: {login: 'student', type: 'User'}},
+    {state: 'APPROVED', user: {login: 'github-actions[bot]', type: 'Bot'}}
+  ]);
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(sim.outputs['result'], 'skipped');
+  assert.strictEqual(sim.outputs['outcome'], undefined);
+  assert.strictEqual(sim.api.called('issues.update').length, 0);
+  assert.ok(!fs.existsSync(path.join(sim.workspace, 'grades.csv')));
+});
+
+test('grading mode requires a pull request event', async t => {
+  const sim = simulate(t);
+  sim.event = {name: 'schedule', payload: {}};
+
+  assert.match(await sim.runAction(), /Grading mode must run on pull_request or pull_request_review events, not schedule events./);
+  assert.strictEqual(sim.outputs['failure-code'], 'invalid-mode');
+});
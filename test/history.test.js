@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('assert');
+
+const FakeOctokit = require('./fake-octokit.js');
+const history = require('../history.js');
+
+const config = {zone: 'America/Los_Angeles', regex: /^v([1-4])\.(\d+)\.(\d+)$/, reviewers: ['mtquach2', 'ybsolomon']};
+const context = {repo: {owner: 'usf-cs272-fall2021', repo: 'project-student'}};
+
+function review(state, login, submitted) {
+  return {state: state, user: {login: login}, submitted_at: submitted};
+}
+
+/*
+ * Creates two earlier requests: one reviewed over several rounds and closed
+ * without approval, and one approved after it was marked ready for review.
+ */
+function setup() {
+  const api = new FakeOctokit(context.repo.owner, context.repo.repo);
+  const options = {assignees: [{login: 'student'}], created_at: '2021-09-06T10:00:00-07:00'}; // a monday
+
+  const first = api.addPull(['synchronous', 'v1.0.0', 'project1'], Object.assign({closed_at: '2021-09-10T10:00:00-07:00'}, options));
+  api.reviews[first.number] = [
+    review('COMMENTED', 'student', '2021-09-06T11:00:00-07:00'),
+    review('CHANGES_REQUESTED', 'mtquach2', '2021-09-07T10:00:00-07:00'),
+    review('CHANGES_REQUESTED', 'mtquach2', '2021-09-09T10:00:00-07:00')
+  ];
+  api.reviewComments[first.number] = [{user: {login: 'mtquach2'}, created_at: '2021-09-07T10:00:00-07:00'}];
+  api.comments.push({issue_number: first.number, user: {login: 'ybsolomon'}, created_at: '2021-09-08T10:00:00-07:00'});
+
+  const second = api.addPull(['project1', 'asynchronous', 'v1.1.0', 'approved'], Object.assign({
+    closed_at: '2021-09-17T10:00:00-07:00'
+  }, options));
+  api.events[second.number] = [{event: 'ready_for_review', created_at: '2021-09-13T10:00:00-07:00'}];
+  api.reviews[second.number] = [review('APPROVED', 'ybsolomon', '2021-09-15T10:00:00-07:00')];
+
+  return {api: api, pulls: api.pullData};
+}
+
+test('labels sort by project, release, and then name', () => {
+  assert.deepStrictEqual(history.sortLabels(['synchronous', 'v1.0.0', 'approved', 'project1'], config), ['project1', 'v1.0.0', 'approved', 'synchronous']);
+  assert.deepStrictEqual(history.sortLabels(['b', 'a', 'c'], config), ['a', 'b', 'c']);
+});
+
+test('history summarizes each previous review', async () => {
+  const {api, pulls} = setup();
+  const [first, second] = await history.gather(api, context, pulls, config);
+
+  assert.deepStrictEqual(first.labels, ['project1', 'v1.0.0', 'synchronous']);
+  assert.deepStrictEqual(first.reviewers, ['mtquach2']);
+  assert.strictEqual(first.outcome, 'not-approved');
+  assert.strictEqual(first.changesRequested, 2);
+  assert.strictEqual(first.comments, 2);
+  assert.strictEqual(first.firstResponse, '2021-09-07T10:00:00-07:00');
+  assert.strictEqual(first.responseDays, 1);
+  assert.strictEqual(first.closeDays, 4);
+
+  assert.strictEqual(second.type, 'asynchronous');
+  assert.strictEqual(second.outcome, 'approved');
+  assert.strictEqual(second.ready, '2021-09-13T10:00:00-07:00');
+  assert.strictEqual(second.responseDays, 2);
+  assert.strictEqual(second.closeDays, 4);
+});
+
+test('history ignores activity by bots', async () => {
+  const {api, pulls} = setup();
+  const bot = {login: 'github-actions[bot]', type: 'Bot'};
+
+  api.reviews[pulls[1].number].unshift(Object.assign(review('COMMENTED', 'github-actions[bot]', '2021-09-13T11:00:00-07:00'), {user: bot}));
+  api.comments.push({issue_number: pulls[1].number, user: bot, created_at: '2021-09-14T10:00:00-07:00'});
+
+  const [, second] = await history.gather(api, context, pulls, config);
+  assert.deepStrictEqual(second.reviewers, ['ybsolomon']);
+  assert.strictEqual(second.comments, 0);
+  assert.strictEqual(second.firstResponse, '2021-09-15T10:00:00-07:00');
+});
+
+test('history ignores reviews by the student when deciding the outcome', async () => {
+  const {api, pulls} = setup();
+
+  api.reviews[pulls[0].number].push(review('CHANGES_REQUESTED', 'student', '2021-09-09T11:00:00-07:00'));
+  api.reviews[pulls[1].number] = [review('APPROVED', 'student', '2021-09-14T10:00:00-07:00')];
+  pulls[1].state = 'open';
+
+  const [first, second] = await history.gather(api, context, pulls, config);
+  assert.strictEqual(first.changesRequested, 2);
+  assert.strictEqual(second.outcome, 'pending');
+});
+
+test('history fetches the activity of every pull request concurrently', async () => {
+  const {api, pulls} = setup();
+  let waiting = 0;
+  let most = 0;
+
+  // holds each listing until the others had a chance to start
+  const list = api.pulls.listReviews;
+  api.pulls.listReviews = async params => {
+    most = Math.max(most, ++waiting);
+    await new Promise(resolve => setImmediate(resolve));
+    waiting--;
+    return list(params);
+  };
+
+  await history.gather(api, context, pulls, config);
+  assert.strictEqual(most, 2);
+});
+
+test('history formats a table of previous reviews', async () => {
+  const {api, pulls} = setup();
+  const table = history.format(await history.gather(api, context, pulls, config), config).split('\n');
+
+  assert.strictEqual(table.length, 4);
+  assert.strictEqual(table[2], `| [#1](${pulls[0].html_url}) | v1.0.0 | synchronous | closed | mtquach2 | not-approved | 2 | 2 | 1 business day | 4 business days | Sep 6, 2021 |`);
+  assert.match(table[3], /\| v1.1.0 \| asynchronous \| closed \| ybsolomon \| approved \| 0 \| 0 \| 2 business days \|/);
+  assert.strictEqual(history.format([], config), 'N/A');
+});
@@ -0,0 +1,403 @@
+const test = require('node:test');
+const assert = require('assert');
+
+const { simulate } = require('./harness.js');
+
+// checks the half-made pull request was closed and its branch deleted
+function assertRolledBack(sim) {
+  const [pull] = sim.api.pullData;
+  assert.strictEqual(pull.state, 'closed');
+  assert.deepStrictEqual(sim.remoteBranches(), ['main']);
+}
+
+test('request creates a labeled draft pull request', async t => {
+  const sim = simulate(t).qualify('v1.2.0');
+  sim.api.addPull(['project1', 'synchronous', 'v1.1.0']);
+
+  const failed = await sim.runAction();
+  assert.strictEqual(failed, undefined);
+
+  assert.deepStrictEqual(sim.remoteBranches(), ['main', 'review/v1.2.0']);
+
+  const [create] = sim.api.called('pulls.create');
+  assert.strictEqual(create.title, 'Project v1.2.0 Synchronous Code Review');
+  assert.strictEqual(create.head, 'review/v1.2.0');
+  assert.strictEqual(create.base, 'main');
+  assert.strictEqual(create.draft, true);
+  assert.match(create.body, /\[Project 1 Inverted Index\]\(https:\/\/usf-cs272-fall2021.github.io\/guides\/projects\/project-1.html\)/);
+  assert.match(create.body, /\| \[#\d+\]\(.*\) \| v1.1.0 \| synchronous \| closed \| N\/A \| not-approved \| 0 \| 0 \|/);
+
+  const [update] = sim.api.called('issues.update');
+  assert.deepStrictEqual(update.labels, ['project1', 'synchronous', 'v1.2.0']);
+  assert.strictEqual(update.milestone, sim.api.milestones[0].number);
+  assert.deepStrictEqual(update.assignees, ['student']);
+
+  const [reviewers] = sim.api.called('pulls.requestReviewers');
+  assert.deepStrictEqual(reviewers.reviewers, ['mtquach2', 'ybsolomon']);
+
+  const [comment] = sim.api.called('issues.createComment');
+  assert.match(comment.body, /Hello @student!/);
+});
+
+test('request rejects code with compile warnings', async t => {
+  const sim = simulate(t).qualify('v1.0.0', {files: {
+    'src/main/java/Warning.java': 'public class Warning { // fake-javac: [rawtypes] found raw type: List\n}\n'
+  }});
+
+  const failed = await sim.runAction();
+  assert.match(failed, /Unable to compiling code without warnings/);
+  assert.strictEqual(sim.api.called('pulls.create').length, 0);
+});
+
+test('request rejects code with TODO comments', async t => {
+  const sim = simulate(t).qualify('v1.0.0', {files: {
+    'src/main/java/Todo.java': 'public class Todo {\n  // TODO Finish this class\n}\n'
+  }});
+
+  const failed = await sim.runAction();
+  assert.match(failed, /One or more TODO comments found/);
+});
+
+test('request rejects code with extra main methods', async t => {
+  const sim = simulate(t).qualify('v1.0.0', {files: {
+    'src/main/java/Extra.java': 'public class Extra {\n  public static void main(String[] args) {}\n}\n'
+  }});
+
+  const failed = await sim.runAction();
+  assert.match(failed, /More than one main method found/);
+});
+
+test('request rejects a review branch that already exists', async t => {
+  const sim = simulate(t).qualify('v1.0.0', {branches: ['review/v1.0.0']});
+
+  const failed = await sim.runAction();
+  assert.match(failed, /Unable to push review\/v1.0.0 branch/);
+  assert.strictEqual(sim.api.called('pulls.create').length, 0);
+});
+
+test('request rejects an unsuccessful milestone listing', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.fail('issues.listMilestones', 500);
+
+  const failed = await sim.runAction();
+  assert.match(failed, /Unable to list milestones in: project-student/);
+});
+
+test('request rejects an unsuccessful milestone creation', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.fail('issues.createMilestone', 500);
+
+  const failed = await sim.runAction();
+  assert.match(failed, /Unable to create Project 1 milestone in: project-student/);
+});
+
+test('request rejects an unsuccessful pull request listing', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.fail('pulls.list', 500);
+
+  const failed = await sim.runAction();
+  assert.match(failed, /Unable to list pull requests in: project-student/);
+});
+
+test('request rejects an unsuccessful pull request creation', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.fail('pulls.create', 422);
+
+  const failed = await sim.runAction();
+  assert.match(failed, /Unable to create pull request for: project-student/);
+
+  // pushed branch is deleted so the request can be made again
+  assert.deepStrictEqual(sim.remoteBranches(), ['main']);
+});
+
+test('request rejects an unsuccessful pull request update', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.fail('issues.update', 500);
+
+  const failed = await sim.runAction();
+  assert.match(failed, /Unable to update labels for pull request at: .*\/pull\/\d+/);
+  assertRolledBack(sim);
+
+  const explained = sim.api.comments.find(x => x.body.includes('closed automatically'));
+  assert.match(explained.body, /Unable to update labels/);
+});
+
+test('request rejects an unsuccessful reviewer request', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.fail('pulls.requestReviewers', 422);
+
+  const failed = await sim.runAction();
+  assert.match(failed, /Unable to request reviewers for pull request at: .*\/pull\/\d+/);
+  assertRolledBack(sim);
+});
+
+test('request rejects an unsuccessful instructions comment', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.fail('issues.createComment', 500);
+
+  const failed = await sim.runAction();
+  assert.match(failed, /Unable to add comment for pull request at: .*\/pull\/\d+/);
+  assertRolledBack(sim);
+});
+
+test('request resumes finishing steps after a transient failure', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.fail('pulls.requestReviewers', 502, {times: 1});
+
+  const failed = await sim.runAction();
+  assert.strictEqual(failed, undefined);
+
+  assert.strictEqual(sim.api.called('pulls.requestReviewers').length, 2);
+  assert.strictEqual(sim.api.called('issues.update').length, 1);
+  assert.strictEqual(sim.api.called('issues.createComment').length, 1);
+  assert.strictEqual(sim.api.pullData[0].state, 'open');
+  assert.deepStrictEqual(sim.remoteBranches(), ['main', 'review/v1.0.0']);
+});
+
+test('request can be made again after a rollback of a labeled request', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.fail('pulls.requestReviewers', 422);
+
+  assert.match(await sim.runAction(), /Unable to request reviewers/);
+  assertRolledBack(sim);
+  assert.deepStrictEqual(sim.api.pullData[0].labels.map(x => x.name).sort(), ['cancelled', 'project1', 'synchronous', 'v1.0.0']);
+
+  delete sim.api.failures['pulls.requestReviewers'];
+  sim.reset();
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.deepStrictEqual(sim.api.pullData.map(x => x.state), ['closed', 'open']);
+});
+
+test('request does not repeat changes after a server error', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.fail('pulls.create', 502, {throws: true, times: 1, message: 'Bad Gateway'});
+
+  const failed = await sim.runAction();
+  assert.match(failed, /Bad Gateway/);
+  assert.strictEqual(sim.api.called('pulls.create').length, 1);
+  assert.doesNotMatch(sim.log, /Retrying POST pulls.create/);
+});
+
+test('request can be made again after a rollback', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.fail('issues.update', 500);
+
+  assert.notStrictEqual(await sim.runAction(), undefined);
+
+  delete sim.api.failures['issues.update'];
+  sim.reset();
+
+  const failed = await sim.runAction();
+  assert.strictEqual(failed, undefined);
+  assert.deepStrictEqual(sim.api.pullData.map(x => x.state), ['closed', 'open']);
+});
+
+test('post phase rolls back an interrupted request', async t => {
+  const sim = simulate(t).qualify('v1.0.0', {branches: ['review/v1.0.0']});
+  const pull = sim.api.addPull([], {state: 'open', draft: true});
+
+  // main phase stopped after creating the pull request
+  sim.states.effects = JSON.stringify({branch: 'review/v1.0.0', pull: {number: pull.number, url: pull.html_url}, steps: {labels: true}});
+
+  const failed = await sim.runPhase('cleanup.js');
+  assert.strictEqual(failed, undefined);
+
+  assert.strictEqual(pull.state, 'closed');
+  assert.deepStrictEqual(sim.remoteBranches(), ['main']);
+  assert.strictEqual(JSON.parse(sim.states.effects).rolledBack, true);
+});
+
+test('post phase leaves a completed request alone', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+
+  assert.strictEqual(await sim.runAction(), undefined);
+
+  assert.strictEqual(sim.api.called('pulls.update').length, 0);
+  assert.strictEqual(sim.api.called('git.deleteRef').length, 0);
+  assert.match(sim.log, /Code review request completed. Nothing to clean up./);
+});
+
+test('dry run previews the pull request without creating anything', async t => {
+  const sim = simulate(t, {inputs: {'dry-run': 'true'}}).qualify('v1.0.0');
+
+  const failed = await sim.runAction();
+  assert.strictEqual(failed, undefined);
+
+  assert.deepStrictEqual(sim.remoteBranches(), ['main']);
+
+  for (const method of ['pulls.create', 'issues.update', 'pulls.requestReviewers', 'issues.createComment', 'issues.createMilestone']) {
+    assert.strictEqual(sim.api.called(method).length, 0, method);
+  }
+
+  const summary = sim.readSummary();
+  assert.match(summary, /Code Review Preview \(Dry Run\)/);
+  assert.match(summary, /\*\*Title:\*\* Project v1.0.0 Synchronous Code Review/);
+  assert.match(summary, /\*\*Labels:\*\* project1, synchronous, v1.0.0/);
+  assert.match(summary, /\*\*Milestone:\*\* Project 1 \(will be created\)/);
+  assert.match(summary, /\*\*Reviewers:\*\* mtquach2, ybsolomon/);
+  assert.match(summary, /## Student Information/);
+  assert.match(sim.log, /Dry run complete. Release v1.0.0 qualifies/);
+});
+
+test('dry run still fails verification checks', async t => {
+  const sim = simulate(t, {inputs: {'dry-run': 'true'}}).qualify('v1.0.0', {files: {
+    'src/main/java/Todo.java': 'public class Todo {\n  // TODO Finish this class\n}\n'
+  }});
+
+  const failed = await sim.runAction();
+  assert.match(failed, /One or more TODO comments found/);
+});
+
+test('request reports every cleanup finding as an annotation', async t => {
+  const sim = simulate(t).qualify('v1.0.0', {files: {
+    'src/main/java/Todo.java': 'public class Todo {\n  // TODO Finish this class\n  public static void main(String[] args) {\n    System.out.println("debug");\n  }\n}\n'
+  }});
+
+  const failed = await sim.runAction();
+  assert.match(failed, /One or more TODO comments found. More than one main method found. Please clean up/);
+
+  const annotations = sim.annotations.filter(x => x[2].title && x[2].title.startsWith('Cleanup'));
+  assert.deepStrictEqual(annotations.map(x => [x[0], x[2].file, x[2].startLine]), [
+    ['error', 'src/main/java/Todo.java', 2],
+    ['error', 'src/main/java/Todo.java', 3],
+    ['warning', 'src/main/java/Todo.java', 4]
+  ]);
+});
+
+test('request reports compiler warnings as annotations and in the summary', async t => {
+  const sim = simulate(t).qualify('v1.0.0', {files: {
+    'src/main/java/Warning.java': 'public class Warning {\n  // fake-javac: [rawtypes] found raw type: List\n}\n'
+  }});
+
+  const failed = await sim.runAction();
+  assert.match(failed, /Unable to compiling code without warnings/);
+
+  const compiler = sim.annotations.filter(x => x[2].title === 'Compiler: rawtypes');
+  assert.deepStrictEqual(compiler.map(x => [x[0], x[1], x[2].file, x[2].startLine, x[2].startColumn]), [
+    ['error', 'found raw type: List', 'src/main/java/Warning.java', 2, 3]
+  ]);
+
+  assert.match(sim.readSummary(), /\| `src\/main\/java\/Warning.java` \| 2 \| 3 \| rawtypes \| found raw type: List \|/);
+});
+
+test('request adds non-fatal warnings as review comments', async t => {
+  const sim = simulate(t, {inputs: {'review-comments': 'true'}}).qualify('v1.0.0', {files: {
+    'src/main/java/Debug.java': 'public class Debug {\n  void a() {\n    System.out.println("debug");\n  }\n}\n'
+  }});
+
+  const failed = await sim.runAction();
+  assert.strictEqual(failed, undefined);
+
+  const [review] = sim.api.reviewData;
+  assert.strictEqual(review.event, 'COMMENT');
+  assert.match(review.body, /^- `src\/main\/java\/Debug.java:3` Debug output to the console found. \(debug-output\)$/m);
+});
+
+test('request does not add review comments by default', async t => {
+  const sim = simulate(t).qualify('v1.0.0', {files: {
+    'src/main/java/Debug.java': 'public class Debug {\n  void a() {\n    System.out.println("debug");\n  }\n}\n'
+  }});
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(sim.api.called('pulls.createReview').length, 0);
+});
+
+test('request fills in student information from the roster', async t => {
+  const sim = simulate(t, {inputs: {roster: 'login,name,email\nstudent,Jane Doe,jdoe@usfca.edu\n'}}).qualify('v1.0.0');
+
+  assert.strictEqual(await sim.runAction(), undefined);
+
+  const [create] = sim.api.called('pulls.create');
+  assert.match(create.body, /- \*\*Full Name:\*\* Jane Doe\n- \*\*USF Email:\*\* jdoe@usfca.edu/);
+
+  const [comment] = sim.api.called('issues.createComment');
+  assert.match(comment.body, /Double-check your full name and USF email are correct/);
+});
+
+test('request fills in student information from a roster repository', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.configure({roster: {repository: 'usf-cs272-fall2021/staff', path: 'roster.json'}});
+  sim.api.contents['usf-cs272-fall2021/staff/roster.json'] = '{"student": {"name": "Jane Doe", "email": "jdoe"}}';
+
+  assert.strictEqual(await sim.runAction(), undefined);
+
+  const [create] = sim.api.called('pulls.create');
+  assert.match(create.body, /- \*\*Full Name:\*\* Jane Doe\n- \*\*USF Email:\*\* jdoe@usfca.edu/);
+});
+
+test('request fills in student information from a previous request', async t => {
+  const sim = simulate(t).qualify('v2.1.0');
+  sim.api.addPull(['project1', 'synchronous', 'v1.1.0'], {body: '- **Full Name:** Old Name\n- **USF Email:** old@usfca.edu', created_at: '2021-09-01T00:00:00Z'});
+  sim.api.addPull(['project2', 'synchronous', 'v2.0.0'], {body: '- **Full Name:** Jane Doe\n- **USF Email:** jdoe@usfca.edu', created_at: '2021-10-01T00:00:00Z'});
+  sim.api.addPull(['project2', 'synchronous', 'v2.0.1'], {body: '- **Full Name:** [FULL_NAME]\n- **USF Email:** [USF_EMAIL]@usfca.edu', created_at: '2021-10-02T00:00:00Z'});
+
+  assert.strictEqual(await sim.runAction(), undefined);
+
+  const [create] = sim.api.called('pulls.create');
+  assert.match(create.body, /- \*\*Full Name:\*\* Jane Doe\n- \*\*USF Email:\*\* jdoe@usfca.edu/);
+});
+
+test('request keeps placeholders when no student information is found', async t => {
+  const sim = simulate(t, {inputs: {roster: 'login,name,email\nsomeone,Jane Doe,jdoe@usfca.edu\n'}}).qualify('v1.0.0');
+
+  assert.strictEqual(await sim.runAction(), undefined);
+
+  const [create] = sim.api.called('pulls.create');
+  assert.match(create.body, /- \*\*Full Name:\*\* \[FULL_NAME\]\n- \*\*USF Email:\*\* \[USF_EMAIL\]@usfca.edu/);
+
+  const [comment] = sim.api.called('issues.createComment');
+  assert.match(comment.body, /Replace `\[FULL_NAME\]` with your full name/);
+});
+
+test('request sets outputs for the created pull request', async t => {
+  const sim = simulate(t).qualify('v1.1.0');
+  sim.api.addPull(['project1', 'synchronous', 'v1.0.0']);
+
+  const failed = await sim.runAction();
+  assert.strictEqual(failed, undefined);
+
+  const [pull] = sim.api.pullData.slice(-1);
+
+  assert.strictEqual(JSON.parse(sim.outputs['review-history'])[0].release, 'v1.0.0');
+  assert.deepStrictEqual(sim.outputs, {
+    'project': '1',
+    'version': 'v1.1.0',
+    'review-type': 'Synchronous',
+    'branch': 'review/v1.1.0',
+    'functionality-issue': String(sim.functionality.number),
+    'previous-reviews': '1',
+    'review-history': sim.outputs['review-history'],
+    'pull-number': String(pull.number),
+    'pull-url': pull.html_url,
+    'result': 'success'
+  });
+});
+
+test('request sets the dry run result without a pull request', async t => {
+  const sim = simulate(t, {inputs: {'dry-run': 'true'}}).qualify('v1.0.0');
+
+  const failed = await sim.runAction();
+  assert.strictEqual(failed, undefined);
+  assert.strictEqual(sim.outputs['result'], 'dry-run');
+  assert.ok(!('pull-number' in sim.outputs));
+});
+
+test('request sets failure codes for failed requests', async t => {
+  const cases = [
+    [{files: {'src/main/java/Warning.java': 'public class Warning { // fake-javac: [rawtypes] found raw type: List\n}\n'}}, () => {}, 'compile-failed'],
+    [{files: {'src/main/java/Todo.java': 'public class Todo {\n  // TODO Finish\n}\n'}}, () => {}, 'cleanup-failed'],
+    [{}, sim => sim.api.fail('pulls.create', 500), 'pull-request-failed'],
+    [{}, sim => sim.api.fail('issues.listMilestones', 404, {throws: true, message: 'Not Found'}), 'github-api-error']
+  ];
+
+  for (const [options, setup, code] of cases) {
+    const sim = simulate(t).qualify('v1.0.0', options);
+    setup(sim);
+
+    const failed = await sim.runAction();
+    assert.ok(failed, code);
+    assert.strictEqual(sim.outputs['result'], 'failure');
+    assert.strictEqual(sim.outputs['failure-code'], code);
+  }
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('assert');
+const { DateTime } = require('luxon');
+
+const { Simulation } = require('./harness.js');
+const reminders = require('../reminders.js');
+const utils = require('../utils.js');
+
+function simulate(t, options) {
+  const sim = new Simulation(Object.assign({inputs: {mode: 'reminders'}}, options));
+  t.after(() => sim.cleanup());
+  return sim;
+}
+
+// two weeks ago is always more than 5 business days
+const old = DateTime.now().minus({days: 14}).toISO();
+const recent = DateTime.now().toISO();
+
+function open(sim, options) {
+  return sim.api.addPull(['project1', 'synchronous', 'v1.0.0'], Object.assign({
+    state: 'open',
+    closed_at: null,
+    created_at: old,
+    assignees: [{login: 'student'}],
+    requested_reviewers: [{login: 'mtquach2'}]
+  }, options));
+}
+
+test('business days skip holidays', () => {
+  const monday = DateTime.fromISO('2021-11-22T10:00:00', {zone: 'America/Los_Angeles'});
+
+  assert.strictEqual(utils.businessDays(monday, monday.plus({days: 7})), 5);
+  assert.strictEqual(utils.businessDays(monday, monday.plus({days: 7}), ['2021-11-25', '2021-11-26']), 3);
+});
+
+test('validation reports invalid reminder settings', () => {
+  assert.deepStrictEqual(reminders.validate({review: 3, holidays: [new Date('2021-11-25')]}), []);
+  assert.strictEqual(reminders.validate({review: 0, draft: 'two', holidays: ['someday']}).length, 3);
+  assert.deepStrictEqual(reminders.getSettings({reminders: {holidays: [new Date('2021-11-25')]}}).holidays, ['2021-11-25']);
+});
+
+test('reminders mention the reviewers of requests waiting past the deadline', async t => {
+  const sim = simulate(t);
+  const pull = open(sim);
+
+  assert.strictEqual(await sim.runAction(), undefined);
+
+  const [comment] = sim.api.called('issues.createComment');
+  assert.strictEqual(comment.issue_number, pull.number);
+  assert.match(comment.body, /^@mtquach2 This code review request has been ready for review for \d+ business days, which is longer than the 2 business days/);
+  assert.strictEqual(sim.outputs['reminders'], '1');
+  assert.strictEqual(sim.outputs['result'], 'success');
+  assert.match(sim.readSummary(), /\| \[#\d+\]\(.*\) \| Ready for review \| \d+ of 2 \| reminded \(@mtquach2\) \|/);
+});
+
+test('reminders are only posted once', async t => {
+  const sim = simulate(t);
+  open(sim);
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  sim.reset();
+  assert.strictEqual(await sim.runAction(), undefined);
+
+  assert.strictEqual(sim.api.called('issues.createComment').length, 1);
+  assert.match(sim.readSummary(), /already reminded/);
+});
+
+test('reminders count from when the request was marked ready', async t => {
+  const sim = simulate(t);
+  const pull = open(sim);
+  sim.api.events[pull.number] = [{event: 'ready_for_review', created_at: recent}];
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(sim.api.called('issues.createComment').length, 0);
+  assert.match(sim.readSummary(), /\| Ready for review \| 0 of 2 \| waiting \|/);
+});
+
+test('reminders skip requests that were already reviewed', async t => {
+  const sim = simulate(t);
+  const pull = open(sim);
+  sim.api.reviews[pull.number] = [{state: 'COMMENTED', user: {login: 'ybsolomon'}}];
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(sim.api.called('issues.createComment').length, 0);
+});
+
+test('reminders ignore reviews by the student and bots', async t => {
+  const sim = simulate(t);
+  const pull = open(sim);
+  sim.api.reviews[pull.number] = [
+    {state: 'COMMENTED', user: {login: 'github-actions[bot]', type: 'Bot'}},
+    {state: 'COMMENTED', user: {login: 'student', type: 'User'}}
+  ];
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(sim.api.called('issues.createComment').length, 1);
+  assert.match(sim.readSummary(), /reminded \(@mtquach2\)/);
+});
+
+test('reminders mention the student of requests still in draft', async t => {
+  const sim = simulate(t);
+  open(sim, {draft: true});
+  open(sim, {draft: true, created_at: recent});
+
+  assert.strictEqual(await sim.runAction(), undefined);
+
+  const comments = sim.api.called('issues.createComment');
+  assert.strictEqual(comments.length, 1);
+  assert.match(comments[0].body, /^@student This code review request is still a draft after \d+ business days/);
+});
+
+test('reminders use the configured deadlines', async t => {
+  const sim = simulate(t).configure({reminders: {review: 30}});
+  open(sim);
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(sim.api.called('issues.createComment').length, 0);
+});
+
+test('reminders mode does not request code review', async t => {
+  const sim = simulate(t);
+
+  assert.strictEqual(await sim.runAction(), undefined);
+  assert.strictEqual(sim.api.called('repos.getReleaseByTag').length, 0);
+  assert.strictEqual(sim.api.called('pulls.create').length, 0);
+  assert.match(sim.readSummary(), /0 reminders posted for 0 open review requests/);
+});
+
+test('unknown modes fail the request', async t => {
+  const sim = simulate(t, {inputs: {mode: 'remind'}});
+
+  assert.match(await sim.runAction(), /Unknown mode: remind. Use request, reminders, grading, cancel, or resubmit./);
+  assert.strictEqual(sim.outputs['failure-code'], 'invalid-mode');
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('assert');
+
+const { simulate } = require('./harness.js');
+const reviewers = require('../reviewers.js');
+
+// runs the whole action and returns the requested reviewers
+async function requested(sim) {
+  const failed = await sim.runAction();
+  assert.strictEqual(failed, undefined);
+
+  const [request] = sim.api.called('pulls.requestReviewers');
+  return request.reviewers;
+}
+
+test('reviewers may be usernames or objects with settings', () => {
+  const pool = reviewers.getPool({reviewers: ['one', {login: 'two', capacity: 3, types: ['Asynchronous']}]});
+
+  assert.deepStrictEqual(pool[0], {login: 'one', capacity: Infinity, types: ['synchronous', 'asynchronous'], away: []});
+  assert.deepStrictEqual(pool[1], {login: 'two', capacity: 3, types: ['asynchronous'], away: []});
+});
+
+test('validation reports invalid reviewer settings', () => {
+  const problems = reviewers.validate([
+    'one',
+    {capacity: 2},
+    {login: 'three', capacity: -1, types: ['sometimes'], away: [{from: 'tomorrow'}]}
+  ], {count: 0});
+
+  assert.strictEqual(problems.length, 5);
+  assert.match(problems[0], /"reviewers.1" must be a Github username/);
+  assert.match(problems[1], /"reviewers.2.capacity"/);
+  assert.match(problems[2], /"reviewers.2.types"/);
+  assert.match(problems[3], /"reviewers.2.away"/);
+  assert.match(problems[4], /"assignment.count"/);
+});
+
+test('request chooses the reviewer with the fewest open reviews', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.configure({assignment: {count: 1}});
+  sim.api.openReviews = {mtquach2: 5, ybsolomon: 2};
+
+  assert.deepStrictEqual(await requested(sim), ['ybsolomon']);
+  assert.match(sim.log, /Chose ybsolomon: 2 open reviews/);
+});
+
+test('request skips reviewers at capacity', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.configure({reviewers: [{login: 'mtquach2', capacity: 2}, 'ybsolomon'], assignment: {count: 1}});
+  sim.api.openReviews = {mtquach2: 2, ybsolomon: 4};
+
+  assert.deepStrictEqual(await requested(sim), ['ybsolomon']);
+  assert.match(sim.log, /Skipping mtquach2: at capacity with 2 of 2 open reviews/);
+});
+
+test('request still assigns someone when every reviewer is at capacity', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.configure({reviewers: [{login: 'mtquach2', capacity: 1}, {login: 'ybsolomon', capacity: 1}], assignment: {count: 1}});
+  sim.api.openReviews = {mtquach2: 3, ybsolomon: 1};
+
+  assert.deepStrictEqual(await requested(sim), ['ybsolomon']);
+  assert.match(sim.log, /Every remaining reviewer is at capacity/);
+});
+
+test('request skips reviewers who are away', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.configure({reviewers: [{login: 'mtquach2', away: [{from: '2021-01-01', to: '2999-01-01'}]}, 'ybsolomon']});
+
+  assert.deepStrictEqual(await requested(sim), ['ybsolomon']);
+  assert.match(sim.log, /Skipping mtquach2: away from 2021-01-01 to 2999-01-01/);
+});
+
+test('request only assigns reviewers for the review type', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.configure({reviewers: [{login: 'mtquach2', types: ['asynchronous']}, {login: 'ybsolomon', types: ['synchronous']}]});
+
+  assert.deepStrictEqual(await requested(sim), ['ybsolomon']);
+  assert.match(sim.log, /Skipping mtquach2: does not do synchronous code reviews/);
+});
+
+test('request warns when open reviews are only counted in this repository', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.configure({assignment: {count: 1}});
+
+  assert.deepStrictEqual(await requested(sim), ['mtquach2']);
+  assert.match(sim.log, /Open reviews are only counted in the repositories the token can read. Set the course-token input/);
+});
+
+test('request counts open reviews with the course token', async t => {
+  const sim = simulate(t, {inputs: {'course-token': 'fake-course-token'}}).qualify('v1.0.0');
+  sim.configure({assignment: {count: 1}});
+  sim.api.openReviews = {mtquach2: 3, ybsolomon: 1};
+
+  assert.deepStrictEqual(await requested(sim), ['ybsolomon']);
+  assert.doesNotMatch(sim.log, /Set the course-token input/);
+});
+
+test('request prefers the reviewer of earlier reviews', async t => {
+  const sim = simulate(t).qualify('v1.1.0');
+  sim.configure({assignment: {count: 1}});
+  sim.api.openReviews = {mtquach2: 0, ybsolomon: 6};
+
+  const earlier = sim.api.addPull(['project1', 'synchronous', 'v1.0.0']);
+  sim.api.reviews[earlier.number] = [{state: 'APPROVED', user: {login: 'ybsolomon'}}];
+
+  assert.deepStrictEqual(await requested(sim), ['ybsolomon']);
+  assert.match(sim.log, /Chose ybsolomon: reviewed 1 earlier requests by this student, 6 open reviews/);
+});
+
+test('request finds earlier reviewers past the first page of reviews', async t => {
+  const sim = simulate(t).qualify('v1.1.0');
+  sim.configure({assignment: {count: 1}});
+  sim.api.openReviews = {mtquach2: 0, ybsolomon: 6};
+
+  const earlier = sim.api.addPull(['project1', 'synchronous', 'v1.0.0']);
+  const comments = new Array(30).fill({state: 'COMMENTED', user: {login: 'octocat'}});
+  sim.api.reviews[earlier.number] = comments.concat([{state: 'APPROVED', user: {login: 'ybsolomon'}}]);
+
+  assert.deepStrictEqual(await requested(sim), ['ybsolomon']);
+});
+
+test('request ignores earlier reviewers without continuity', async t => {
+  const sim = simulate(t).qualify('v1.1.0');
+  sim.configure({assignment: {count: 1, continuity: false}});
+  sim.api.openReviews = {mtquach2: 0, ybsolomon: 6};
+
+  const earlier = sim.api.addPull(['project1', 'synchronous', 'v1.0.0']);
+  sim.api.reviews[earlier.number] = [{state: 'APPROVED', user: {login: 'ybsolomon'}}];
+
+  assert.deepStrictEqual(await requested(sim), ['mtquach2']);
+});
+
+test('request assigns reviewers when open reviews cannot be counted', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.fail('search.issuesAndPullRequests', 422, {throws: true, message: 'Validation Failed'});
+
+  assert.deepStrictEqual(await requested(sim), ['mtquach2', 'ybsolomon']);
+  assert.match(sim.log, /Unable to count open reviews for mtquach2 \(Validation Failed\)/);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('assert');
+
+const roster = require('../roster.js');
+
+test('parses csv rosters with quoted fields', () => {
+  const parsed = roster.parseRoster([
+    'Name,Login,Email',
+    '"Doe, Jane",JDoe,jdoe@usfca.edu',
+    'Sam "Sammy" Smith,ssmith,ssmith'
+  ].join('\n'));
+
+  assert.deepStrictEqual(parsed.get('jdoe'), {name: 'Doe, Jane', email: 'jdoe@usfca.edu'});
+  assert.deepStrictEqual(parsed.get('ssmith'), {name: 'Sam Sammy Smith', email: 'ssmith'});
+});
+
+test('parses json rosters as lists or keyed by login', () => {
+  const list = roster.parseRoster('[{"login": "jdoe", "name": "Jane Doe", "email": "jdoe@usfca.edu"}]');
+  const keyed = roster.parseRoster('{"JDoe": {"name": "Jane Doe", "email": "jdoe@usfca.edu"}}');
+
+  assert.deepStrictEqual(list.get('jdoe'), keyed.get('jdoe'));
+});
+
+test('rejects csv rosters without the required columns', () => {
+  assert.throws(() => roster.parseRoster('login,name\njdoe,Jane Doe'), /missing the "email" column/);
+});
+
+test('parses student information from previous request bodies', () => {
+  assert.deepStrictEqual(roster.parseBody('- **Full Name:** Jane Doe\n- **USF Email:** jdoe@usfca.edu\n'), {name: 'Jane Doe', email: 'jdoe@usfca.edu'});
+  assert.deepStrictEqual(roster.parseBody('- **Full Name:** [FULL_NAME]\n- **USF Email:** [USF_EMAIL]@usfca.edu\n'), {name: '', email: ''});
+  assert.deepStrictEqual(roster.parseBody(null), {name: '', email: ''});
+});
@@ -0,0 +1,369 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { simulate } = require('./harness.js');
+
+test('setup saves state for a qualified release', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  const failed = await sim.runPhase('setup.js');
+
+  assert.strictEqual(failed, undefined);
+  assert.strictEqual(sim.states.version, 'v1.0.0');
+  assert.strictEqual(sim.states.project, '1');
+  assert.strictEqual(sim.states.branch, 'review/v1.0.0');
+  assert.strictEqual(sim.states.issueNumber, String(sim.functionality.number));
+  assert.strictEqual(sim.states.runId, String(sim.run.id));
+});
+
+test('setup rejects a missing review type', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.inputs.type = '';
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Missing required review request type/);
+});
+
+test('setup rejects an invalid review type', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.inputs.type = 'urgent';
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /The value "urgent" is not a valid code review type/);
+});
+
+test('setup rejects an unparsable release', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.inputs.release = 'v5.0.0';
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Unable to parse project information from: v5.0.0/);
+});
+
+test('setup rejects a project missing from the course configuration', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.inputs.config = JSON.stringify({
+    course: 'Test', zone: 'UTC', version: '^v(\\d)\\.(\\d+)\\.(\\d+)$',
+    branches: {main: 'main', review: 'review/'}, reviewers: ['staff'],
+    projects: {2: {name: 'Partial Search', guide: 'https://example.com'}}
+  });
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Project 1 from release v1.0.0 is not configured/);
+});
+
+test('setup rejects an invalid course configuration', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.inputs.config = '{"course": "Test"}';
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Invalid course configuration: .*"zone"/);
+});
+
+test('setup reads the configuration file from the action directory', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  const config = fs.readFileSync(path.join(__dirname, '..', 'course.yml'), 'utf8').replace(/^course: .*$/m, "course: 'Action Course'");
+
+  fs.mkdirSync(path.join(sim.action, 'config'));
+  fs.writeFileSync(path.join(sim.action, 'config', 'course.yml'), config);
+  sim.inputs.config = 'config/course.yml';
+
+  assert.strictEqual(await sim.runPhase('setup.js'), undefined);
+  assert.match(sim.log, /Using configuration file: .*\/action\/config\/course.yml/);
+
+  // files in the workspace do not exist before checkout, and students could change them
+  sim.reset();
+  sim.inputs.config = 'workspace.yml';
+  fs.writeFileSync(path.join(sim.workspace, 'workspace.yml'), config);
+
+  assert.match(await sim.runPhase('setup.js'), /Unable to find configuration file: workspace.yml/);
+});
+
+test('setup rejects a missing release', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.releases = [];
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Unable to fetch release v1.0.0 \(not found\)/);
+});
+
+test('setup rejects an unsuccessful release request', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.fail('repos.getReleaseByTag', 500);
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Unable to fetch release v1.0.0 \(500 exit code\)/);
+});
+
+test('setup rejects an unsuccessful workflow run listing', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.fail('actions.listWorkflowRuns', 404, {throws: true, message: 'Not Found'});
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Unable to verify release v1.0.0 \(not found\)/);
+});
+
+test('setup rejects a release without a workflow run', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.runs = [];
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Unable to verify release v1.0.0 \(no workflow run or commit status found for commit [0-9a-f]{7}\)/);
+});
+
+test('setup rejects a release with a failed workflow run', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.run.conclusion = 'failure';
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Unable to verify release v1.0.0 \(run #1 id 1000 concluded with failure\)/);
+});
+
+test('setup rejects a release with a workflow run in progress', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.run.status = 'in_progress';
+  sim.run.conclusion = null;
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Unable to verify release v1.0.0 \(run #1 id 1000 is still in_progress\)/);
+});
+
+test('setup rejects draft and prerelease releases', async t => {
+  for (const kind of ['draft', 'prerelease']) {
+    const sim = simulate(t).qualify('v1.0.0');
+    sim.release[kind] = true;
+
+    const failed = await sim.runPhase('setup.js');
+    assert.match(failed, new RegExp(`Release v1.0.0 is a ${kind}. Publish the release`));
+  }
+});
+
+test('setup explains when the release tag was moved after the run', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.run.head_sha = '0123456789abcdef0123456789abcdef01234567';
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /the v1.0.0 tag points to commit [0-9a-f]{7} but run #1 tested commit 0123456, so the tag was moved after the tests ran/);
+  assert.strictEqual(sim.outputs['failure-code'], 'release-not-verified');
+});
+
+test('setup verifies a release commit with a successful commit status', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.runs = [];
+  sim.api.statuses[sim.api.tags['v1.0.0']] = [{id: 77, state: 'success', context: 'ci/tests', target_url: 'https://ci.example.com/77'}];
+
+  const failed = await sim.runPhase('setup.js');
+  assert.strictEqual(failed, undefined);
+  assert.strictEqual(sim.states.runNumber, 'ci/tests');
+  assert.strictEqual(sim.states.runUrl, 'https://ci.example.com/77');
+});
+
+test('setup follows annotated release tags to their commit', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  const sha = sim.api.tags['v1.0.0'];
+  sim.api.tags['v1.0.0'] = {sha: sha, annotated: true};
+
+  const failed = await sim.runPhase('setup.js');
+  assert.strictEqual(failed, undefined);
+  assert.strictEqual(sim.states.releaseSha, sha);
+  assert.strictEqual(sim.api.called('git.getTag').length, 1);
+});
+
+test('setup continues without verification when an instructor overrides it', async t => {
+  const sim = simulate(t, {actor: 'mtquach2', inputs: {'override-verification': 'true'}}).qualify('v1.0.0');
+  sim.api.runs = [];
+
+  const failed = await sim.runPhase('setup.js');
+  assert.strictEqual(failed, undefined);
+  assert.strictEqual(sim.states.runNumber, 'UNCONFIRMED');
+  assert.ok(sim.annotations.some(([level, message]) => level === 'warning' && /verification was overridden by mtquach2/.test(message)));
+});
+
+test('setup rejects verification overrides from students', async t => {
+  const sim = simulate(t, {inputs: {'override-verification': 'true'}}).qualify('v1.0.0');
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Only instructors \(mtquach2, ybsolomon\) may override release verification, not student/);
+  assert.strictEqual(sim.outputs['failure-code'], 'release-not-verified');
+});
+
+test('setup rejects an unsuccessful issue listing', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.fail('issues.listForRepo', 500);
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Unable to list issues from: project-student/);
+});
+
+test('setup rejects a project without approved functionality', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.functionality.locked = false;
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Unable to detect approved functionality issue for project 1/);
+});
+
+test('setup rejects a project with approved design', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  const design = sim.api.addApproved(['project1', 'design']);
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, new RegExp(`Detected approved design issue #${design.number} for project 1`));
+});
+
+test('setup rejects a project with an open pull request', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  const pull = sim.api.addPull(['project1', 'synchronous'], {state: 'open'});
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, new RegExp(`Detected open pull request #${pull.number} for project 1`));
+});
+
+test('setup rejects a repository that cannot be cloned', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  fs.rmSync(sim.remote, {recursive: true});
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Failed cloning project-student repository \(128\)/);
+});
+
+test('setup rejects a repository without main source code', async t => {
+  const sim = simulate(t).qualify('v1.0.0', {files: {
+    'src/main/java/Driver.java': null,
+    'src/main/java/InvertedIndex.java': null,
+    'README.md': 'No code yet.'
+  }});
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Unable to list test directory/);
+});
+
+test('setup rejects a main branch with commits after the release', async t => {
+  const sim = simulate(t).qualify('v1.0.0', {after: {'README.md': 'Changed after release.'}});
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /The main branch has one or more commits since release v1.0.0 was created/);
+});
+
+test('setup finds approved functionality beyond the first page of issues', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+
+  // approved issue is listed last after many rejected attempts
+  sim.api.issueData = [];
+
+  for (let i = 0; i < 150; i++) {
+    sim.api.addIssue(['project1', 'functionality'], {state: 'closed'});
+  }
+
+  const approved = sim.api.addApproved(['project1', 'functionality']);
+
+  const failed = await sim.runPhase('setup.js');
+  assert.strictEqual(failed, undefined);
+  assert.strictEqual(sim.states.issueNumber, String(approved.number));
+
+  const pages = sim.api.called('issues.listForRepo').filter(x => x.labels === 'project1,functionality');
+  assert.deepStrictEqual(pages.map(x => x.page), [1, 2]);
+});
+
+test('setup finds the workflow run by release commit among many runs', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+
+  for (let i = 0; i < 150; i++) {
+    sim.api.addRun('main', {event: 'push'});
+  }
+
+  const failed = await sim.runPhase('setup.js');
+  assert.strictEqual(failed, undefined);
+  assert.strictEqual(sim.states.runId, String(sim.run.id));
+
+  const [listing] = sim.api.called('actions.listWorkflowRuns');
+  assert.strictEqual(listing.head_sha, sim.api.tags['v1.0.0']);
+});
+
+test('setup retries transient server errors', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.fail('repos.getReleaseByTag', 502, {throws: true, times: 2});
+
+  const failed = await sim.runPhase('setup.js');
+  assert.strictEqual(failed, undefined);
+  assert.strictEqual(sim.api.called('repos.getReleaseByTag').length, 3);
+  assert.match(sim.log, /Retrying GET repos.getReleaseByTag in 0 ms after 502 response/);
+});
+
+test('setup retries secondary rate limits after the requested wait', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.fail('issues.listForRepo', 403, {throws: true, times: 1, message: 'You have exceeded a secondary rate limit.', headers: {'retry-after': '0'}});
+
+  const failed = await sim.runPhase('setup.js');
+  assert.strictEqual(failed, undefined);
+  assert.match(sim.log, /Retrying GET issues.listForRepo in 0 ms after 403 response/);
+});
+
+test('setup waits at most the maximum wait for the rate limit to reset', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  const reset = String(Math.floor(Date.now() / 1000) + 3600);
+  sim.api.fail('issues.listForRepo', 403, {throws: true, times: 1, message: 'API rate limit exceeded', headers: {'x-ratelimit-remaining': '0', 'x-ratelimit-reset': reset}});
+
+  const failed = await sim.runPhase('setup.js');
+  assert.strictEqual(failed, undefined);
+  assert.match(sim.log, /Retrying GET issues.listForRepo in 0 ms after 403 response/);
+});
+
+test('setup does not retry missing resources', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.releases = [];
+
+  await sim.runPhase('setup.js');
+  assert.strictEqual(sim.api.called('repos.getReleaseByTag').length, 1);
+});
+
+test('setup gives up after repeated server errors', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.fail('repos.getReleaseByTag', 503, {throws: true, message: 'Service Unavailable'});
+
+  const failed = await sim.runPhase('setup.js');
+  assert.match(failed, /Unable to fetch release v1.0.0 \(service unavailable\)/);
+  assert.strictEqual(sim.api.called('repos.getReleaseByTag').length, 5);
+});
+
+test('setup logs the remaining api quota', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.api.remaining = 50;
+
+  const failed = await sim.runPhase('setup.js');
+  assert.strictEqual(failed, undefined);
+  assert.match(sim.log, /API quota: \d+ of 5000 requests remaining/);
+  assert.ok(sim.annotations.some(x => x[0] === 'warning' && /Github API requests remaining/.test(x[1])));
+});
+
+test('setup sets failure codes for failed checks', async t => {
+  const cases = [
+    [{type: 'x'}, () => {}, 'invalid-type'],
+    [{release: 'v9.0.0'}, () => {}, 'invalid-release'],
+    [{config: '{"course": 1}'}, () => {}, 'invalid-config'],
+    [{}, sim => { sim.api.releases = []; }, 'release-not-found'],
+    [{}, sim => { sim.release.draft = true; }, 'release-not-published'],
+    [{}, sim => { sim.run.conclusion = 'failure'; }, 'release-not-verified'],
+    [{}, sim => { sim.functionality.locked = false; }, 'ineligible']
+  ];
+
+  for (const [inputs, setup, code] of cases) {
+    const sim = simulate(t, {inputs: inputs}).qualify('v1.0.0');
+    Object.assign(sim.inputs, inputs);
+    setup(sim);
+
+    const failed = await sim.runPhase('setup.js');
+    assert.ok(failed, code);
+    assert.strictEqual(sim.outputs['result'], 'failure', code);
+    assert.strictEqual(sim.outputs['failure-code'], code);
+  }
+});
+
+test('setup sets the release outdated failure code', async t => {
+  const sim = simulate(t).qualify('v1.0.0', {after: {'README.md': 'Changed'}});
+
+  await sim.runPhase('setup.js');
+  assert.strictEqual(sim.outputs['failure-code'], 'release-outdated');
+  assert.strictEqual(sim.outputs['version'], 'v1.0.0');
+});
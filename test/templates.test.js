@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { simulate } = require('./harness.js');
+const templates = require('../templates.js');
+
+function writeTemplate(sim, name, text) {
+  fs.mkdirSync(path.join(sim.action, 'templates'), {recursive: true});
+  fs.writeFileSync(path.join(sim.action, 'templates', name), text);
+  return `templates/${name}`;
+}
+
+test('default templates only use known placeholders', () => {
+  for (const name of templates.names) {
+    const text = fs.readFileSync(path.join(templates.directory, `${name}.md`), 'utf8');
+    assert.deepStrictEqual(templates.check(text), []);
+  }
+});
+
+test('templates report unknown placeholders and unclosed sections', () => {
+  assert.deepStrictEqual(templates.check('{{project}} {{ grade }} {{project.name}}'), [
+    'unknown placeholder {{ grade }}',
+    'invalid placeholder {{project.name}}'
+  ]);
+
+  assert.deepStrictEqual(templates.check('{{#downgraded}}{{^studentFound}}{{/downgraded}}'), [
+    '{{/studentFound}} expected before {{/downgraded}}',
+    'section {{downgraded}} is never closed'
+  ]);
+});
+
+test('templates render placeholders and sections', () => {
+  const text = 'Project {{project}}{{#downgraded}} ({{downgraded}}){{/downgraded}}{{^studentFound}} needs {{studentName}}{{/studentFound}}.';
+
+  assert.strictEqual(templates.render(text, {project: 1, downgraded: '', studentFound: false, studentName: '[FULL_NAME]'}), 'Project 1 needs [FULL_NAME].');
+  assert.strictEqual(templates.render(text, {project: 2, downgraded: 'Downgraded.', studentFound: true}), 'Project 2 (Downgraded.).');
+  assert.strictEqual(templates.render('{{changes}}', {changes: '{{project}}'}), '{{project}}');
+});
+
+test('templates are chosen by project and review type', () => {
+  const config = {templates: {
+    body: 'course.md',
+    asynchronous: {body: 'async.md'},
+    projects: {2: {body: 'project2.md', synchronous: {comment: 'project2-sync.md'}}}
+  }};
+
+  const find = (name, project, type) => path.basename(templates.find(config, name, project, type));
+
+  assert.strictEqual(find('body', 1, 'Synchronous'), 'course.md');
+  assert.strictEqual(find('body', 1, 'Asynchronous'), 'async.md');
+  assert.strictEqual(find('body', 2, 'Asynchronous'), 'project2.md');
+  assert.strictEqual(find('comment', 2, 'Synchronous'), 'project2-sync.md');
+  assert.strictEqual(templates.find(config, 'comment', 1, 'Synchronous'), path.join(templates.directory, 'comment.md'));
+});
+
+test('request renders the configured templates', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  const body = writeTemplate(sim, 'body.md', 'Review of {{releaseTag}} at {{releaseSha}} for {{course}} by {{reviewers}}.');
+  const comment = writeTemplate(sim, 'comment.md', 'Hi @{{actor}}, reply on Slack within 3 days ({{previousCount}} earlier).');
+  sim.configure({templates: {body: body, projects: {1: {synchronous: {comment: comment}}}}});
+
+  assert.strictEqual(await sim.runAction(), undefined);
+
+  const [create] = sim.api.called('pulls.create');
+  assert.match(create.body, /^Review of v1.0.0 at [0-9a-f]{40} for CS 272 Software Development by @mtquach2, @ybsolomon.$/);
+
+  const [instructions] = sim.api.called('issues.createComment');
+  assert.strictEqual(instructions.body.trim(), 'Hi @student, reply on Slack within 3 days (0 earlier).');
+});
+
+test('default instructions use the configured reply deadline', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  sim.configure({reminders: {review: 3}});
+
+  assert.strictEqual(await sim.runAction(), undefined);
+
+  const [instructions] = sim.api.called('issues.createComment');
+  assert.match(instructions.body, /If we do not respond within 3 \*business\* days/);
+});
+
+test('request rejects templates with unknown placeholders', async t => {
+  const sim = simulate(t).qualify('v1.0.0');
+  const comment = writeTemplate(sim, 'comment.md', 'Hello {{student}}!');
+  sim.configure({templates: {asynchronous: {comment: 'templates/missing.md'}, comment: comment}});
+
+  const failed = await sim.runAction();
+  assert.match(failed, /"templates.comment" template has unknown placeholder {{student}}/);
+  assert.match(failed, /"templates.asynchronous.comment" template file templates\/missing.md not found/);
+  assert.strictEqual(sim.outputs['failure-code'], 'invalid-config');
+  assert.strictEqual(sim.api.called('pulls.create').length, 0);
+});
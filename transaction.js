@@ -0,0 +1,178 @@
+const core = require('@actions/core');
+const utils = require('./utils.js');
+const cancel = require('./cancel.js');
+
+// TRACKS SIDE EFFECTS OF A REVIEW REQUEST
+
+/*
+ * Side effects are saved as state as soon as they happen, so a failed or
+ * interrupted request can be undone by the main or post phase. Tracks:
+ *
+ * cancelled: the number and url of the open request cancelled to resubmit it
+ * branch: the review branch pushed to the remote
+ * pull: the number and url of the created pull request
+ * steps: the finishing steps (labels, reviewers, comment) completed
+ * complete: whether the request finished successfully
+ * rolledBack: whether the side effects were already undone
+ */
+exports.create = function() {
+  return {cancelled: undefined, branch: undefined, pull: undefined, steps: {}, complete: false, rolledBack: false};
+};
+
+exports.save = function(effects) {
+  core.saveState('effects', JSON.stringify(effects));
+};
+
+exports.restore = function() {
+  const saved = core.getState('effects');
+  return saved ? Object.assign(exports.create(), JSON.parse(saved)) : exports.create();
+};
+
+/*
+ * Runs the finishing steps for a created pull request, recording each one as
+ * it completes. If any steps fail, the remaining steps are still attempted and
+ * then the missing steps are resumed once before giving up. Throws the first
+ * error if any step still fails after resuming.
+ */
+exports.finish = async function(effects, steps) {
+  const attempt = async function() {
+    const errors = [];
+
+    for (const name in steps) {
+      if (effects.steps[name]) {
+        continue;
+      }
+
+      try {
+        await steps[name]();
+
+        effects.steps[name] = true;
+        exports.save(effects);
+      }
+      catch (error) {
+        utils.showWarning(`Unable to complete ${name} step: ${error.message}`);
+        errors.push(error);
+      }
+    }
+
+    return errors;
+  };
+
+  const errors = await attempt();
+
+  if (errors.length > 0) {
+    const missing = Object.keys(steps).filter(x => !effects.steps[x]);
+    core.info(`\nResuming missing steps: ${missing.join(', ')}`);
+
+    const retried = await attempt();
+
+    if (retried.length > 0) {
+      throw retried[0];
+    }
+
+    core.info(`Resumed steps: ${missing.join(', ')}`);
+  }
+};
+
+/*
+ * Undoes the recorded side effects of an unfinished request by closing the
+ * pull request (with a comment explaining why, and labeled as cancelled so it
+ * does not count as an earlier request) and deleting the pushed review branch.
+ * A request cancelled to resubmit it cannot be restored, so that is reported
+ * instead. Never throws; problems are reported as warnings with instructions
+ * for cleaning up manually.
+ */
+exports.rollback = async function(octokit, context, effects, reason) {
+  if (effects.complete || effects.rolledBack || (!effects.cancelled && !effects.branch && !effects.pull)) {
+    return;
+  }
+
+  core.startGroup('Rolling back partial code review request...');
+  core.info('');
+
+  const owner = context.repo.owner;
+  const repo = context.repo.repo;
+
+  if (effects.pull) {
+    try {
+      // https://docs.github.com/en/rest/reference/issues#create-an-issue-comment
+      await octokit.issues.createComment({
+        owner: owner,
+        repo: repo,
+        issue_number: effects.pull.number,
+        body: `:no_entry: This code review request could not be completed and was closed automatically: ${reason}\n\nPlease fix the problem and request code review again.`
+      });
+    }
+    catch (error) {
+      // closing the pull request is more important than explaining why
+      utils.showWarning(`Unable to comment on pull request #${effects.pull.number} (${error.message}).`);
+    }
+
+    try {
+      // https://docs.github.com/en/rest/reference/issues#add-labels-to-an-issue
+      await octokit.issues.addLabels({
+        owner: owner,
+        repo: repo,
+        issue_number: effects.pull.number,
+        labels: [cancel.label]
+      });
+    }
+    catch (error) {
+      utils.showWarning(`Unable to label pull request #${effects.pull.number} as ${cancel.label} (${error.message}).`);
+    }
+
+    try {
+      // https://docs.github.com/en/rest/reference/pulls#update-a-pull-request
+      const result = await octokit.pulls.update({
+        owner: owner,
+        repo: repo,
+        pull_number: effects.pull.number,
+        state: 'closed'
+      });
+
+      if (result.status != 200) {
+        core.info(`Result: ${JSON.stringify(result)}`);
+        throw new Error(`${result.status} exit code`);
+      }
+
+      core.info(`Closed pull request: ${effects.pull.url}`);
+    }
+    catch (error) {
+      utils.showWarning(`Unable to close pull request #${effects.pull.number} (${error.message}).`);
+      core.warning(`Unable to close pull request #${effects.pull.number}. Please close it manually: ${effects.pull.url}`);
+    }
+  }
+
+  if (effects.branch) {
+    try {
+      // https://docs.github.com/en/rest/reference/git#delete-a-reference
+      const result = await octokit.git.deleteRef({
+        owner: owner,
+        repo: repo,
+        ref: `heads/${effects.branch}`
+      });
+
+      if (result.status != 204) {
+        core.info(`Result: ${JSON.stringify(result)}`);
+        throw new Error(`${result.status} exit code`);
+      }
+
+      core.info(`Deleted branch: ${effects.branch}`);
+    }
+    catch (error) {
+      utils.showWarning(`Unable to delete branch ${effects.branch} (${error.message}).`);
+      core.warning(`Unable to delete branch ${effects.branch}. Please delete it manually before requesting code review again.`);
+    }
+  }
+
+  if (effects.cancelled) {
+    utils.showWarning(`Code review request #${effects.cancelled.number} was cancelled to resubmit it.`);
+    core.warning(`Code review request #${effects.cancelled.number} was cancelled to resubmit it, but the new request could not be completed. Please request code review again: ${effects.cancelled.url}`);
+  }
+
+  effects.rolledBack = true;
+  exports.save(effects);
+
+  core.info('');
+  core.endGroup();
+};
@@ -2,17 +2,28 @@ const core = require('@actions/core');
 const github = require('@actions/github');
 const exec = require('@actions/exec');
 const style = require('ansi-styles');
+const fs = require('fs');
+const path = require('path');
+const api = require('./api.js');
+const checklist = require('./checklist.js');
+const errors = require('./errors.js');
+const version = require('./version.js');
 
 exports.warnings = 0; // track warnings
 
 exports.mainDir = 'project-main';   // otherwise project-username
 exports.testDir = 'project-tests';  // must match pom.xml and repository name
 
-exports.projectNames = {
-  1: 'Inverted Index',
-  2: 'Partial Search',
-  3: 'Multithreading',
-  4: 'Search Engine'
+// course files are in the action repository, since the pre phase runs before
+// any checkout step (and students cannot change them there)
+exports.actionDir = __dirname;
+
+/*
+ * Resolves the path of a course file (like the configuration, a template, or
+ * a roster) relative to the action directory.
+ */
+exports.resolveFile = function(file) {
+  return path.resolve(exports.actionDir, file);
 };
 
 function styleText(color, bgColor, label, text) {
@@ -84,12 +95,105 @@ exports.restoreStates = function(states) {
   return states;
 };
 
+/*
+ * Appends markdown to the job summary, if one is available for this run.
+ */
+exports.writeSummary = function(markdown) {
+  const file = process.env.GITHUB_STEP_SUMMARY;
+
+  if (!file) {
+    core.info('No job summary available for this run.');
+    return;
+  }
+
+  fs.appendFileSync(file, `${markdown.trim()}\n\n`);
+};
+
+/*
+ * Counts the weekdays that passed between two luxon dates, which is how long
+ * someone waited in business days. Holidays (as yyyy-mm-dd dates) do not
+ * count.
+ */
+exports.businessDays = function(from, to, holidays = []) {
+  let days = 0;
+
+  for (let day = from.plus({days: 1}); day <= to; day = day.plus({days: 1})) {
+    if (day.weekday <= 5 && !holidays.includes(day.toISODate())) {
+      days++;
+    }
+  }
+
+  return days;
+};
+
+/*
+ * Gets an optional true or false input, which is false if not provided.
+ */
+exports.checkBoolean = function(name) {
+  return core.getInput(name) ? core.getBooleanInput(name) : false;
+};
+
+/*
+ * Sets the action outputs for the request details in the states along with
+ * the other outputs given, skipping any that are not known.
+ */
+exports.setOutputs = function(states, outputs) {
+  const all = Object.assign({
+    'project': states.project,
+    'version': states.version,
+    'review-type': states.type,
+    'branch': states.branch,
+    'functionality-issue': states.issueNumber
+  }, outputs);
+
+  core.startGroup('Setting outputs...');
+
+  for (const name in all) {
+    if (all[name] !== undefined && all[name] !== '') {
+      core.setOutput(name, all[name]);
+      core.info(`${name}: ${all[name]}`);
+    }
+  }
+
+  core.endGroup();
+};
+
+/*
+ * Gets the mode of the action: request (the default) to request code review,
+ * reminders for scheduled runs that remind about waiting requests, grading
+ * for pull request events that record review outcomes, cancel to cancel the
+ * open request for a project, or resubmit to cancel it and request again.
+ */
+exports.checkMode = function() {
+  const mode = (core.getInput('mode') || 'request').trim().toLowerCase();
+
+  if (!['request', 'reminders', 'grading', 'cancel', 'resubmit'].includes(mode)) {
+    throw errors.create('invalid-mode', `Unknown mode: ${mode}. Use request, reminders, grading, cancel, or resubmit.`);
+  }
+
+  return mode;
+};
+
+/*
+ * Checks whether this is a dry run, which performs every verification but
+ * does not create any branch, pull request, label, or comment.
+ */
+exports.checkDryRun = function() {
+  const dryRun = exports.checkBoolean('dry-run');
+
+  if (dryRun) {
+    core.info('Dry run enabled. No branch or pull request will be created.');
+  }
+
+  return dryRun;
+};
+
 function checkRequestType() {
   const type = core.getInput('type');
   const usage = 'Review request types must start with "s" for synchronous code reviews (default type) or "a" for pre-approved asynchronous code reviews.';
 
   if (!type) {
-    throw new Error(`Missing required review request type. ${usage}`);
+    throw errors.create('invalid-type', `Missing required review request type. ${usage}`);
   }
 
   switch (type.charAt(0)) {
@@ -98,11 +202,11 @@ function checkRequestType() {
     case 'a': case 'A':
       return 'Asynchronous';
     default:
-      throw new Error(`The value "${type}" is not a valid code review type. ${usage}`);
+      throw errors.create('invalid-type', `The value "${type}" is not a valid code review type. ${usage}`);
   }
 }
 
-exports.parseProject = function(context, ref) {
+exports.parseProject = function(context, ref, config) {
   core.startGroup('Parsing project details...');
   core.info('');
 
@@ -121,21 +225,7 @@ exports.parseProject = function(context, ref) {
   core.info(`Main repository: ${details.mainRepo}`);
   core.info(`Test repository: ${details.testRepo}`);
 
-  const tokens = ref.split('/');
-  const version = tokens[tokens.length - 1];
-
-  const regex = /^v([1-4])\.(\d+)\.(\d+)$/;
-  const matched = version.match(regex);
-
-  if (matched !== null && matched.length === 4) {
-    details.project = +matched[1];
-    details.reviews = +matched[2];
-    details.patches = +matched[3];
-    details.version = version;
-  }
-  else {
-    throw new Error(`Unable to parse project information from: ${ref}`);
-  }
+  Object.assign(details, version.parse(ref, config));
 
   core.info('');
   core.info(`Project version: ${details.version}`);
@@ -162,6 +252,7 @@ exports.parseProject = function(context, ref) {
  * settings.error: the error message to use for non-zero exit code
  *                 (if not specified, no error is thrown)
  * settings.chdir: working directory to use
+ * settings.listeners: listeners for the command output (see exec.exec)
  */
 exports.checkExec = async function(command, settings) {
   const options = {ignoreReturnCode: true};
@@ -170,6 +261,10 @@ exports.checkExec = async function(command, settings) {
     options.cwd = settings.chdir;
   }
 
+  if ('listeners' in settings) {
+    options.listeners = settings.listeners;
+  }
+
   const param = 'param' in settings ? settings.param : [];
 
   if ('title' in settings) {
@@ -179,7 +274,7 @@ exports.checkExec = async function(command, settings) {
   const result = await exec.exec(command, param, options);
 
   if ('error' in settings && result !== 0) {
-    throw new Error(`${settings.error} (${result}).`);
+    throw errors.create(settings.code || 'git-error', `${settings.error} (${result}).`);
   }
 
   return result;
@@ -187,7 +282,105 @@ exports.checkExec = async function(command, settings) {
 
 // OCTOKIT HELPER FUNCTIONS
 
-exports.verifyRelease = async function(octokit, context, release) {
+/*
+ * Resolves a release tag to the commit it points to, following annotated tags
+ * to their commit.
+ */
+async function resolveTag(octokit, owner, repo, release) {
+  // https://docs.github.com/en/rest/reference/git#get-a-reference
+  const ref = await octokit.git.getRef({
+    owner: owner, repo: repo, ref: `tags/${release}`
+  });
+
+  let object = ref.data.object;
+
+  while (object.type === 'tag') {
+    // https://docs.github.com/en/rest/reference/git#get-a-tag
+    const tag = await octokit.git.getTag({
+      owner: owner, repo: repo, tag_sha: object.sha
+    });
+
+    object = tag.data.object;
+  }
+
+  return object.sha;
+}
+
+/*
+ * Finds a successful run of the test workflow for the release commit, or else
+ * a successful commit status for it. Explains why the release is not verified
+ * otherwise, including when the tag was moved to a different commit after the
+ * tests ran.
+ */
+async function findVerification(octokit, owner, repo, release, sha) {
+  // https://docs.github.com/en/rest/reference/actions#list-workflow-runs
+  core.info(`Listing workflow runs for commit ${sha}...`);
+  const runs = await api.list(octokit, octokit.actions.listWorkflowRuns, {
+    owner: owner,
+    repo: repo,
+    workflow_id: 'run-tests.yml',
+    head_sha: sha
+  });
+
+  const matched = runs.filter(r => r.head_sha === sha);
+  core.info(`Found Runs: ${matched.map(r => r.run_number).join(', ')}`);
+
+  const passed = matched.find(r => r.status == 'completed' && r.conclusion == 'success');
+
+  if (passed !== undefined) {
+    return passed;
+  }
+
+  if (matched.length > 0) {
+    const latest = matched[0];
+    core.info(JSON.stringify(latest));
+
+    if (latest.status != 'completed') {
+      throw new Error(`run #${latest.run_number} id ${latest.id} is still ${latest.status}`);
+    }
+
+    throw new Error(`run #${latest.run_number} id ${latest.id} concluded with ${latest.conclusion}`);
+  }
+
+  // https://docs.github.com/en/rest/reference/repos#get-the-combined-status-for-a-specific-reference
+  core.info(`Checking commit statuses for ${sha}...`);
+  const combined = await octokit.repos.getCombinedStatusForRef({
+    owner: owner, repo: repo, ref: sha
+  });
+
+  if (combined.data.state == 'success' && combined.data.statuses.length > 0) {
+    const status = combined.data.statuses[0];
+
+    return {
+      run_number: status.context,
+      id: status.id,
+      html_url: status.target_url
+    };
+  }
+
+  // runs triggered by a release use its tag as the branch
+  const tagged = await api.list(octokit, octokit.actions.listWorkflowRuns, {
+    owner: owner,
+    repo: repo,
+    workflow_id: 'run-tests.yml',
+    branch: release
+  });
+
+  const moved = tagged.find(r => r.head_sha && r.head_sha !== sha);
+
+  if (moved !== undefined) {
+    throw new Error(`the ${release} tag points to commit ${sha.substring(0, 7)} but run #${moved.run_number} tested commit ${moved.head_sha.substring(0, 7)}, so the tag was moved after the tests ran; create a new release instead of moving the tag`);
+  }
+
+  throw new Error(`no workflow run or commit status found for commit ${sha.substring(0, 7)}`);
+}
+
+/*
+ * Checks the release exists, is published, and its tagged commit passed the
+ * tests. With an instructor override, a release that is not verified only
+ * produces a warning. Returns the release, commit, and verifying run.
+ */
+exports.verifyRelease = async function(octokit, context, release, override) {
   core.startGroup('Checking release details...');
   core.info('');
 
@@ -196,6 +389,8 @@ exports.verifyRelease = async function(octokit, context, release) {
 
   const details = {};
 
+  checklist.start('release');
+
   try {
     // https://docs.github.com/en/rest/reference/repos#get-a-release-by-tag-name
     core.info(`Getting release ${release} from ${repo}...`);
@@ -210,58 +405,46 @@ exports.verifyRelease = async function(octokit, context, release) {
 
     core.info(`Found Release: ${result.data.html_url}`);
     details.release = result.data;
+
+    details.sha = await resolveTag(octokit, owner, repo, release);
+    core.info(`Found Commit: ${details.sha}`);
   }
   catch (error) {
     // produce better error output
-    throw new Error(`Unable to fetch release ${release} (${error.message.toLowerCase()}).`);
+    throw errors.create('release-not-found', `Unable to fetch release ${release} (${error.message.toLowerCase()}).`);
   }
 
+  if (details.release.draft || details.release.prerelease) {
+    throw errors.create('release-not-published', `Release ${release} is a ${details.release.draft ? 'draft' : 'prerelease'}. Publish the release before requesting code review.`);
+  }
+
+  checklist.pass('release', {details: `${release} at ${details.sha.substring(0, 7)}`, link: details.release.html_url});
+  checklist.start('run');
+
   core.info('');
 
   try {
-    // https://docs.github.com/en/rest/reference/actions#list-workflow-runs-for-a-repository
-    core.info('Listing workflow runs...');
-    const result = await octokit.actions.listWorkflowRuns({
-      owner: owner,
-      repo: repo,
-      workflow_id: 'run-tests.yml'//, 
-      // TODO Changed due to Action indexing issue
-//      event: 'release'
-    });
+    details.workflow = await findVerification(octokit, owner, repo, release, details.sha);
+    core.info(`Found Run: ${details.workflow.html_url}`);
 
-    if (result.status != 200) {
-      core.info(JSON.stringify(result));
-      throw new Error(`${result.status} exit code`);
-    }
-    
-    const branches = result.data.workflow_runs.map(r => r.head_branch);
-    core.info(`Found Runs: ${branches.join(', ')}`);
-
-    let found = result.data.workflow_runs.find(r => r.head_branch === release);
-
-    if (found === undefined) {
-      throw new Error(`workflow run not found`);
-      // core.warning(`Could not find any recent runs for the ${release} release. This could be due to ongoing issues with Github Actions. Please manually verify.`);
-      //
-      // found = {};
-      // found.status = "completed";
-      // found.conclusion = "success";
-      // found.html_url = `https://github.com/${owner}/${repo}/actions`;
-      // found.name = 'UNCONFIRMED';
-      // found.run_number = 'UNCONFIRMED';
-      // found.id = 'UNCONFIRMED';
-    }
+    checklist.pass('run', {details: `Run ${details.workflow.run_number}`, link: details.workflow.html_url});
+  }
+  catch (error) {
+    const message = `Unable to verify release ${release} (${error.message.toLowerCase()}).`;
 
-    if (found.status != "completed" || found.conclusion != "success") {
-      core.info(JSON.stringify(found));
-      throw new Error(`run #${found.run_number} id ${found.id} not successful`);
+    if (!override) {
+      throw errors.create('release-not-verified', message);
     }
 
-    core.info(`Found Run: ${found.html_url}`);
-    details.workflow = found;
-  }
-  catch (error) {
-    throw new Error(`Unable to verify release ${release} (${error.message.toLowerCase()}).`);
+    core.warning(`${message} Continuing because verification was overridden by ${context.actor}.`);
+
+    details.workflow = {
+      run_number: 'UNCONFIRMED',
+      id: `overridden by ${context.actor}`,
+      html_url: `https://github.com/${owner}/${repo}/actions`
+    };
+
+    checklist.skip('run', {details: `Overridden by ${context.actor}: ${message}`});
   }
 
   core.info('');
@@ -270,93 +453,115 @@ exports.verifyRelease = async function(octokit, context, release) {
   return details;
 };
 
+// staff approve issues by closing and locking them as resolved
+exports.isApproved = function(issue) {
+  return issue.state == 'closed' && issue.locked == true && issue.active_lock_reason == 'resolved';
+};
+
 // TODO: Filter out pull_request key?
 exports.getIssues = async function(octokit, context, project, type) {
   // https://docs.github.com/en/rest/reference/issues#list-repository-issues
   core.info(`Listing ${type.toLowerCase()} issues for project ${project}...`);
-  const result = await octokit.issues.listForRepo({
-    owner: context.repo.owner,
-    repo: context.repo.repo,
-    labels: `project${project},${type.toLowerCase()}`,
-    state: 'all'
-  });
 
-  if (result.status != 200) {
-    core.info(JSON.stringify(result));
-    throw new Error(`Unable to list issues from: ${context.repo.repo}`);
+  let issues = undefined;
+
+  try {
+    issues = await api.list(octokit, octokit.issues.listForRepo, {
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      labels: `project${project},${type.toLowerCase()}`,
+      state: 'all'
+    });
+  }
+  catch (error) {
+    core.info(`Error: ${error.message}`);
+    throw errors.create('github-api-error', `Unable to list issues from: ${context.repo.repo}`);
   }
 
-  const numbers = result.data.map(x => x.number);
+  const numbers = issues.map(x => x.number);
   core.info(`Found Issues: ${numbers.join(', ')}`);
-  return result.data;
+  return issues;
 };
 
-exports.getMilestone = async function(octokit, context, project) {
+exports.getMilestone = async function(octokit, context, project, config, create = true) {
   // https://docs.github.com/en/rest/reference/issues#list-milestones
   core.info('Listing milestones...');
-  const milestones = await octokit.issues.listMilestones({
-    owner: context.repo.owner,
-    repo: context.repo.repo
-  });
 
-  if (milestones.status != 200) {
-    core.info(SON.stringify(milestones));
-    throw new Error(`Unable to list milestones in: ${context.repo.repo}`);
+  let milestones = undefined;
+
+  try {
+    milestones = await api.list(octokit, octokit.issues.listMilestones, {
+      owner: context.repo.owner,
+      repo: context.repo.repo
+    });
+  }
+  catch (error) {
+    core.info(`Error: ${error.message}`);
+    throw errors.create('github-api-error', `Unable to list milestones in: ${context.repo.repo}`);
   }
 
   const title = `Project ${project}`;
-  const found = milestones.data.find(x => x.title == title);
+  const found = milestones.find(x => x.title == title);
 
-  if (!found) {
-    const names = {
-      1: 'Inverted Index', 2: 'Partial Search',
-      3: 'Multithreading', 4: 'Search Engine'
-    };
+  if (!found && !create) {
+    core.info(`Milestone ${title} not found.`);
+    return {title: title};
+  }
 
-    const create = await octokit.issues.createMilestone({
+  if (!found) {
+    const created = await octokit.issues.createMilestone({
       owner: context.repo.owner,
       repo: context.repo.repo,
       title: title,
       state: 'open',
-      description: `Project ${project} ${names[project]}`
+      description: `Project ${project} ${config.projects[project].name}`
     });
 
-    if (create.status != 201) {
-      core.info(`Result: ${JSON.stringify(create)}`);
-      throw new Error(`Unable to create ${title} milestone in: ${context.repo.repo}`);
+    if (created.status != 201) {
+      core.info(`Result: ${JSON.stringify(created)}`);
+      throw errors.create('github-api-error', `Unable to create ${title} milestone in: ${context.repo.repo}`);
     }
 
-    core.info(`Created ${create.data.title} milestone.`);
-    return create.data;
+    core.info(`Created ${created.data.title} milestone.`);
+    return created.data;
   }
 
   core.info(`Found ${found.title} milestone.`);
   return found;
 };
 
+/*
+ * Lists the review pull requests for a project, or for every project if no
+ * project is specified.
+ */
 exports.getPullRequests = async function(octokit, context, project) {
   // https://docs.github.com/en/rest/reference/pulls#list-pull-requests
-  core.info(`Listing pull requests for project ${project}...`);
-  const result = await octokit.pulls.list({
-    owner: context.repo.owner,
-    repo: context.repo.repo,
-    state: 'all',
-    sort: 'created'
-  });
+  core.info(project === undefined ? 'Listing pull requests for all projects...' : `Listing pull requests for project ${project}...`);
+
+  let pulls = undefined;
 
-  if (result.status == 404) {
-    exports.showWarning(`Pull requests not found for: ${context.repo.repo}`);
-    return [];
+  try {
+    pulls = await api.list(octokit, octokit.pulls.list, {
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      state: 'all',
+      sort: 'created'
+    });
   }
-  else if (result.status != 200) {
-    core.info(JSON.stringify(result));
+  catch (error) {
+    if (error.status == 404) {
+      exports.showWarning(`Pull requests not found for: ${context.repo.repo}`);
+      return [];
+    }
 
-    throw new Error(`Unable to list pull requests in: ${context.repo.repo}`);
+    core.info(`Error: ${error.message}`);
+    throw errors.create('github-api-error', `Unable to list pull requests in: ${context.repo.repo}`);
   }
 
-  core.info(`Found ${result.data.length} pull requests before filtering.`);
+  core.info(`Found ${pulls.length} pull requests before filtering.`);
 
-  const filtered = result.data.filter(x => 'labels' in x && x.labels.some(y => y.name == `project${project}`));
+  const label = project === undefined ? /^project\d+$/ : new RegExp(`^project${project}$`);
+  const filtered = pulls.filter(x => 'labels' in x && x.labels.some(y => label.test(y.name)));
 
   const numbers = filtered.map(x => x.number);
   core.info(`Filtered Pull Requests: ${numbers.join(', ')} (${filtered.length} total)`);
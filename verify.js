@@ -0,0 +1,64 @@
+const core = require('@actions/core');
+const utils = require('./utils.js');
+const errors = require('./errors.js');
+const analysis = require('./analysis.js');
+const diagnostics = require('./diagnostics.js');
+
+// CODE CHECKS SHARED BY THE ACTION AND COMMAND LINE
+
+/*
+ * Compiles the project in the base directory with the strict compile command
+ * of the build adapter and reports the compiler diagnostics. Throws an error
+ * if the code does not compile without warnings. Returns the diagnostics.
+ */
+exports.compile = async function(base, adapter) {
+  let output = '';
+
+  const [command, ...param] = adapter.compile;
+  const capture = data => { output += data.toString(); };
+
+  let result = await utils.checkExec(command, {
+    param: param,
+    title: `Compiling project code with ${adapter.system}`,
+    chdir: `${base}/`,
+    listeners: {stdout: capture, stderr: capture}
+  });
+
+  const compiled = adapter.parse(output, base);
+
+  // some build systems cannot make warnings fatal on their own
+  if (result == 0 && adapter.strict && compiled.length > 0) {
+    result = `${compiled.length} warnings`;
+  }
+
+  diagnostics.report(compiled, result != 0);
+
+  if (result != 0) {
+    throw errors.create('compile-failed', `Unable to compiling code without warnings. Please address all warnings before requesting code review (${result}).`);
+  }
+
+  if (adapter.output) {
+    await utils.checkExec('ls', {
+      param: ['-m', `${base}/${adapter.output}`],
+      title: 'Listing build output',
+      error: 'Unable to list build output directory',
+      code: 'compile-failed'
+    });
+  }
+
+  return compiled;
+};
+
+/*
+ * Checks the source code in the base directory with the cleanup rules for the
+ * project. Throws an error if any rule at the error level finds a problem.
+ * Returns the findings.
+ */
+exports.cleanup = function(base, adapter, config, project) {
+  const rules = analysis.getRules(config, project);
+  const findings = analysis.analyze(base, adapter.source, rules);
+
+  analysis.report(findings, rules);
+
+  return findings;
+};
@@ -0,0 +1,54 @@
+const errors = require('./errors.js');
+
+// RELEASE VERSIONS
+
+/*
+ * Parses the project, reviews, and patches numbers from a release (either the
+ * version itself or a ref ending with the version, like refs/tags/v1.2.0)
+ * using the version pattern of the course configuration. Throws an error if
+ * the release does not match or is for a project not configured.
+ */
+exports.parse = function(ref, config) {
+  const tokens = ref.split('/');
+  const version = tokens[tokens.length - 1];
+
+  const matched = version.match(config.regex);
+
+  if (matched === null || matched.length !== 4) {
+    throw errors.create('invalid-release', `Unable to parse project information from: ${ref}`);
+  }
+
+  const details = {
+    version: version,
+    project: +matched[1],
+    reviews: +matched[2],
+    patches: +matched[3]
+  };
+
+  if (!(details.project in config.projects)) {
+    throw errors.create('invalid-release', `Project ${details.project} from release ${version} is not configured for this course.`);
+  }
+
+  return details;
+};
+
+/*
+ * Parses a release like parse(), but returns undefined instead of throwing an
+ * error for releases that are not versions of a configured project.
+ */
+exports.match = function(ref, config) {
+  try {
+    return exports.parse(ref, config);
+  }
+  catch (error) {
+    return undefined;
+  }
+};
+
+/*
+ * Orders two parsed versions of the same project by their reviews and then
+ * patches numbers.
+ */
+exports.compare = function(x, y) {
+  return (x.reviews - y.reviews) || (x.patches - y.patches);
+};